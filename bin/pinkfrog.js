@@ -0,0 +1,571 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import yaml from 'js-yaml';
+import { createDefaultRegistry } from '../lib/registry.js';
+import { setDebugLogging } from '../lib/log.js';
+import { describeError } from '../lib/errors.js';
+import { ROLES, listUsers, addUser, removeUser, setPassword, setRole, createToken, listTokens, revokeToken } from '../lib/auth.js';
+
+// Command-line access to the CMS. Every command calls a tool from the same
+// registry the MCP server uses, so results match the tools.
+
+const USAGE = `Usage: pinkfrog <command> [options]
+
+Pages:
+  pages list                          List the pages of a dataSet
+  pages get <page>                    Print a page with its frontmatter
+  pages create <page>                 Create a page (--title, --copy or --copy-file, --set, --overwrite)
+  pages update <page>                 Update a page (--content or --content-file, --set, --unset)
+  pages delete <page>                 Delete a page
+  pages rename <page> <new-page>      Rename a page and update links to it (--alias)
+  pages validate <page>               Check the page's components against their schemas
+  pages history <page>                List the saved revisions of a page
+  pages diff <page> <revision>        Show what changed since a revision (--against <revision>)
+  pages restore <page> <revision>     Write a revision back to the page
+  pages publish <page>                Publish a draft (--publish-date, --expiry-date)
+
+Site:
+  build                               Render changed pages to dist (--force renders all)
+  sitemap                             Write dist/sitemap.xml (--base-url, --data-sets <a,b>)
+  robots                              Write dist/robots.txt (--base-url, --no-sitemap)
+  feeds                               Write RSS, Atom and JSON feeds (--collection, --base-url, --limit)
+  media copy                          Copy changed media files to dist/media (--force copies all)
+  dist clean                          Empty the dist folder
+  html save <file>                    Write a file to dist (--content or --content-file)
+  serve                               Run the preview server until stopped (--port, --watch, --drafts)
+  audit                               Show the audit log (--page, --tool, --from, --to, --limit)
+
+Decoration:
+  markdown list                       List the Markdown snippets
+  markdown render <markdown>          Render Markdown with the snippets (--file reads a file)
+  template get [name]                 Print a template (defaults to index.html)
+  component get <name>                Print a component template
+
+Users of the web server:
+  users list                          List the users with their roles
+  users add <name>                    Add a user (--role, --password-file)
+  users remove <name>                 Remove a user and log them out
+  users passwd <name>                 Set a user's password (--password-file)
+  users role <name> <role>            Change a user's role
+  tokens list <name>                  List a user's API tokens
+  tokens create <name>                Create an API token (--name); it is printed once
+  tokens revoke <name> <id>           Revoke an API token
+
+Other:
+  tool <name> [json-arguments]        Call any MCP tool by name
+
+Options:
+  --data-set <name>   DataSet to work on (default: "default")
+  --json              Print the tool result as JSON
+  --verbose           Print debug logging to stderr
+  -h, --help          Show this help
+
+Roles are ${ROLES.join(', ')} (default: viewer). Passwords come from
+--password-file or the PINKFROG_PASSWORD environment variable.
+
+File options accept "-" to read standard input. --set key=value takes a
+YAML value (--set draft=true sets a boolean) and can be repeated.
+
+Exit codes: 0 on success, 1 when the operation fails, 2 on usage errors.`;
+
+const OPTIONS = {
+    'data-set': { type: 'string' },
+    json: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    force: { type: 'boolean' },
+    overwrite: { type: 'boolean' },
+    title: { type: 'string' },
+    copy: { type: 'string' },
+    'copy-file': { type: 'string' },
+    content: { type: 'string' },
+    'content-file': { type: 'string' },
+    file: { type: 'string' },
+    set: { type: 'string', multiple: true, default: [] },
+    unset: { type: 'string', multiple: true, default: [] },
+    alias: { type: 'string' },
+    'base-url': { type: 'string' },
+    decoration: { type: 'string' },
+    port: { type: 'string' },
+    watch: { type: 'boolean' },
+    drafts: { type: 'boolean' },
+    'publish-date': { type: 'string' },
+    'expiry-date': { type: 'string' },
+    role: { type: 'string' },
+    'password-file': { type: 'string' },
+    name: { type: 'string' },
+    page: { type: 'string' },
+    tool: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    limit: { type: 'string' },
+    against: { type: 'string' },
+    collection: { type: 'string' },
+    'data-sets': { type: 'string' },
+    'no-sitemap': { type: 'boolean' },
+};
+
+class UsageError extends Error {}
+
+async function readInput(file) {
+    if (file !== '-') {
+        return fs.readFile(file, 'utf8');
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Text from --<name> or --<name>-file, or undefined when neither is given
+async function textOption(options, name) {
+    if (options[name] !== undefined && options[`${name}-file`] !== undefined) {
+        throw new UsageError(`Use either --${name} or --${name}-file, not both`);
+    }
+    if (options[`${name}-file`] !== undefined) {
+        return readInput(options[`${name}-file`]);
+    }
+    return options[name];
+}
+
+// --set key=value and --unset key as a frontmatter object (null removes)
+function frontmatterOptions(options) {
+    const frontmatter = {};
+    for (const assignment of options.set) {
+        const index = assignment.indexOf('=');
+        if (index <= 0) {
+            throw new UsageError(`--set expects key=value, got "${assignment}"`);
+        }
+        frontmatter[assignment.slice(0, index)] = yaml.load(assignment.slice(index + 1)) ?? '';
+    }
+    for (const key of options.unset) {
+        frontmatter[key] = null;
+    }
+    return frontmatter;
+}
+
+function parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        throw new UsageError(`Invalid port: ${value}`);
+    }
+    return port;
+}
+
+async function passwordOption(options) {
+    if (options['password-file'] !== undefined) {
+        return (await readInput(options['password-file'])).replace(/\r?\n$/, '');
+    }
+    if (process.env.PINKFROG_PASSWORD !== undefined) {
+        return process.env.PINKFROG_PASSWORD;
+    }
+    throw new UsageError('A password is needed: use --password-file or set PINKFROG_PASSWORD');
+}
+
+function parseLimit(value) {
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError(`Invalid limit: ${value}`);
+    }
+    return limit;
+}
+
+function argument(positionals, index, name) {
+    if (positionals[index] === undefined) {
+        throw new UsageError(`Missing <${name}>`);
+    }
+    return positionals[index];
+}
+
+function printValidation(result) {
+    const problems = [
+        ...result.errors.map(error => `line ${error.line}: ${error.message}`),
+        ...result.components.flatMap(component => [
+            ...component.errors.map(error => `line ${error.line}: ${error.message}`),
+            ...component.missing.map(field => `line ${field.line}: ${component.component} is missing "${field.field}" (${field.from} #${field.index})`),
+            ...component.extra.map(extra => `line ${extra.line}: ${component.component}: ${extra.message}`),
+            ...component.warnings.map(warning => `line ${warning.line}: warning: ${warning.message}`),
+        ]),
+    ];
+    return [`${result.pageName}: ${result.valid ? 'valid' : 'invalid'}`, ...problems].join('\n');
+}
+
+function printDiff(result) {
+    if (!result.changed) {
+        return result.message;
+    }
+    const attributes = result.frontmatter.map(({ key, change, before, after }) => {
+        if (change === 'added') {
+            return `frontmatter + ${key}: ${JSON.stringify(after)}`;
+        }
+        if (change === 'removed') {
+            return `frontmatter - ${key}: ${JSON.stringify(before)}`;
+        }
+        return `frontmatter ~ ${key}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`;
+    });
+    return [...attributes, result.body.trimEnd()].filter(Boolean).join('\n');
+}
+
+function printAudit(result) {
+    return result.entries.map(entry => {
+        const paths = entry.paths.map(changed => changed.path).join(', ');
+        return `${entry.timestamp}  ${entry.actor}  ${entry.tool}${entry.success ? '' : ` failed (${entry.error})`}${paths ? `  ${paths}` : ''}`;
+    }).join('\n');
+}
+
+function printBuild(result) {
+    const failed = result.pages
+        .filter(page => !page.success)
+        .map(page => `  ${page.pageName}: ${page.message}`);
+    return [result.message, ...failed].join('\n');
+}
+
+/**
+ * Commands by their words. args turns positionals and options into tool
+ * arguments; print turns a successful result into human readable text
+ * (the message by default). Commands with run instead of tool call
+ * run(args) directly; they manage the web server, which is not a tool's job.
+ */
+const COMMANDS = {
+    'pages list': {
+        tool: 'list_pages',
+        args: (positionals, options) => ({ dataSet: options['data-set'] }),
+        print: result => {
+            const unpublished = new Map(result.unpublished.map(page => [page.pageName, page.status]));
+            return result.pages
+                .map(page => (unpublished.has(page) ? `${page}  (${unpublished.get(page)})` : page))
+                .join('\n');
+        },
+    },
+    'pages get': {
+        tool: 'get_page',
+        args: (positionals, options) => ({ pageName: argument(positionals, 0, 'page'), dataSet: options['data-set'] }),
+        print: result => {
+            const frontmatter = Object.keys(result.attributes).length > 0 ? yaml.dump(result.attributes, { lineWidth: -1 }) : '';
+            return `---\n${frontmatter}---\n\n${result.content}`;
+        },
+    },
+    'pages create': {
+        tool: 'create_page',
+        args: async (positionals, options) => {
+            const copy = await textOption(options, 'copy');
+            if (copy === undefined) {
+                throw new UsageError('pages create needs --copy or --copy-file');
+            }
+            return {
+                fileName: argument(positionals, 0, 'page'),
+                title: options.title,
+                copy,
+                frontmatter: frontmatterOptions(options),
+                overwrite: options.overwrite,
+                dataSet: options['data-set'],
+            };
+        },
+    },
+    'pages update': {
+        tool: 'update_page',
+        args: async (positionals, options) => ({
+            pageName: argument(positionals, 0, 'page'),
+            content: await textOption(options, 'content'),
+            frontmatter: frontmatterOptions(options),
+            dataSet: options['data-set'],
+        }),
+    },
+    'pages delete': {
+        tool: 'delete_page',
+        args: (positionals, options) => ({ pageName: argument(positionals, 0, 'page'), dataSet: options['data-set'] }),
+    },
+    'pages rename': {
+        tool: 'rename_page',
+        args: (positionals, options) => ({
+            pageName: argument(positionals, 0, 'page'),
+            newPageName: argument(positionals, 1, 'new-page'),
+            alias: options.alias,
+            dataSet: options['data-set'],
+        }),
+    },
+    'pages validate': {
+        tool: 'validate_page',
+        args: (positionals, options) => ({ pageName: argument(positionals, 0, 'page'), dataSet: options['data-set'] }),
+        failed: result => !result.valid,
+        print: printValidation,
+    },
+    'pages history': {
+        tool: 'list_revisions',
+        args: (positionals, options) => ({ pageName: argument(positionals, 0, 'page'), dataSet: options['data-set'] }),
+        print: result => result.revisions
+            .map(revision => `${revision.id}  ${revision.deleted ? 'deleted' : `${revision.size} bytes`}  ${revision.reason}`)
+            .join('\n'),
+    },
+    'pages diff': {
+        tool: 'diff_revision',
+        args: (positionals, options) => ({
+            pageName: argument(positionals, 0, 'page'),
+            revision: argument(positionals, 1, 'revision'),
+            against: options.against,
+            dataSet: options['data-set'],
+        }),
+        print: printDiff,
+    },
+    'pages restore': {
+        tool: 'restore_revision',
+        args: (positionals, options) => ({
+            pageName: argument(positionals, 0, 'page'),
+            revision: argument(positionals, 1, 'revision'),
+            dataSet: options['data-set'],
+        }),
+    },
+    'pages publish': {
+        tool: 'publish_page',
+        args: (positionals, options) => ({
+            pageName: argument(positionals, 0, 'page'),
+            dataSet: options['data-set'],
+            publishDate: options['publish-date'],
+            expiryDate: options['expiry-date'],
+        }),
+    },
+    build: {
+        tool: 'build_site',
+        args: (positionals, options) => ({ dataSet: options['data-set'], force: options.force }),
+        print: printBuild,
+    },
+    sitemap: {
+        tool: 'xml_sitemap',
+        args: (positionals, options) => ({
+            baseUrl: options['base-url'],
+            dataSet: options['data-set'],
+            dataSets: options['data-sets']?.split(',').map(name => name.trim()).filter(Boolean),
+        }),
+        print: result => [
+            `${result.message} (${result.urlCount} URLs in ${result.sitemapPath})`,
+            ...result.skipped.map(({ dataSet, pageName, message }) => `  skipped ${dataSet}/${pageName}: ${message}`),
+        ].join('\n'),
+    },
+    robots: {
+        tool: 'robots_txt',
+        args: (positionals, options) => ({ baseUrl: options['base-url'], sitemap: !options['no-sitemap'] }),
+        print: result => `${result.message} (${result.robotsPath})`,
+    },
+    feeds: {
+        tool: 'generate_feeds',
+        args: (positionals, options) => ({
+            dataSet: options['data-set'],
+            collection: options.collection,
+            baseUrl: options['base-url'],
+            limit: options.limit !== undefined ? parseLimit(options.limit) : undefined,
+        }),
+        print: result => [result.message, ...result.files.map(file => `  ${file.format}: ${file.outputPath}`)].join('\n'),
+    },
+    'media copy': {
+        tool: 'copy_media',
+        args: (positionals, options) => ({ force: options.force }),
+    },
+    'dist clean': {
+        tool: 'empty_dist',
+        args: () => ({}),
+    },
+    'html save': {
+        tool: 'save_html',
+        args: async (positionals, options) => {
+            const content = await textOption(options, 'content');
+            if (content === undefined) {
+                throw new UsageError('html save needs --content or --content-file');
+            }
+            return { fileName: argument(positionals, 0, 'file'), content };
+        },
+    },
+    serve: {
+        tool: 'run_server',
+        args: (positionals, options) => ({
+            port: options.port !== undefined ? parsePort(options.port) : undefined,
+            watch: options.watch,
+            drafts: options.drafts,
+            dataSet: options['data-set'],
+        }),
+        keepAlive: true,
+    },
+    audit: {
+        tool: 'get_audit_log',
+        args: (positionals, options) => ({
+            pageName: options.page,
+            dataSet: options['data-set'],
+            tool: options.tool,
+            from: options.from,
+            to: options.to,
+            limit: options.limit !== undefined ? parseLimit(options.limit) : undefined,
+        }),
+        print: printAudit,
+    },
+    'markdown list': {
+        tool: 'get_markdown',
+        args: () => ({}),
+        print: result => Object.keys(result.templates).join('\n'),
+    },
+    'markdown render': {
+        tool: 'render_markdown',
+        args: async (positionals, options) => ({
+            markdown: options.file !== undefined ? await readInput(options.file) : argument(positionals, 0, 'markdown'),
+            decoration: options.decoration,
+        }),
+        print: result => result.html.trimEnd(),
+    },
+    'template get': {
+        tool: 'get_template',
+        args: positionals => ({ template: positionals[0] }),
+        failed: result => result.templateExists === false,
+        print: result => result.template ?? `Template "${result.templateName}" not found in ${result.templatesDir}`,
+    },
+    'component get': {
+        tool: 'get_component',
+        args: positionals => ({ component: argument(positionals, 0, 'name') }),
+        failed: result => result.componentExists === false,
+        print: result => result.template ?? `Component "${result.component}" not found in ${result.componentsDir}`,
+    },
+    'users list': {
+        args: () => ({}),
+        run: async () => ({ users: await listUsers() }),
+        print: result => result.users.map(user => `${user.username}\t${user.role}\t${user.tokens.length} token(s)`).join('\n'),
+    },
+    'users add': {
+        args: async (positionals, options) => ({
+            username: argument(positionals, 0, 'name'),
+            role: options.role ?? 'viewer',
+            password: await passwordOption(options),
+        }),
+        run: addUser,
+        print: result => `Added ${result.role} ${result.username}`,
+    },
+    'users remove': {
+        args: positionals => ({ username: argument(positionals, 0, 'name') }),
+        run: ({ username }) => removeUser(username),
+        print: result => `Removed ${result.username}`,
+    },
+    'users passwd': {
+        args: async (positionals, options) => ({ username: argument(positionals, 0, 'name'), password: await passwordOption(options) }),
+        run: ({ username, password }) => setPassword(username, password),
+        print: result => `Changed the password of ${result.username}`,
+    },
+    'users role': {
+        args: positionals => ({ username: argument(positionals, 0, 'name'), role: argument(positionals, 1, 'role') }),
+        run: ({ username, role }) => setRole(username, role),
+        print: result => `${result.username} is now ${result.role}`,
+    },
+    'tokens list': {
+        args: positionals => ({ username: argument(positionals, 0, 'name') }),
+        run: async ({ username }) => ({ tokens: await listTokens(username) }),
+        print: result => result.tokens.map(token => `${token.id}\t${token.name}\t${token.createdAt}`).join('\n'),
+    },
+    'tokens create': {
+        args: (positionals, options) => ({ username: argument(positionals, 0, 'name'), name: options.name }),
+        run: ({ username, name }) => createToken(username, name),
+        print: result => `${result.token}\nToken ${result.id} ("${result.name}") is shown only this once.`,
+    },
+    'tokens revoke': {
+        args: positionals => ({ username: argument(positionals, 0, 'name'), id: argument(positionals, 1, 'id') }),
+        run: ({ username, id }) => revokeToken(username, id),
+        print: result => `Revoked token ${result.id} of ${result.username}`,
+    },
+    tool: {
+        args: positionals => {
+            try {
+                return positionals[1] !== undefined ? JSON.parse(positionals[1]) : {};
+            } catch (error) {
+                throw new UsageError(`Tool arguments must be JSON: ${error.message}`);
+            }
+        },
+        tool: positionals => argument(positionals, 0, 'name'),
+    },
+};
+
+// Find the command named by the leading positionals
+function findCommand(positionals) {
+    for (const length of [2, 1]) {
+        const name = positionals.slice(0, length).join(' ');
+        if (COMMANDS[name]) {
+            return { name, command: COMMANDS[name], rest: positionals.slice(length) };
+        }
+    }
+    throw new UsageError(positionals.length > 0 ? `Unknown command: ${positionals.join(' ')}` : 'Missing command');
+}
+
+async function runCommand(command, args) {
+    try {
+        return { ok: true, result: await command.run(args) };
+    } catch (error) {
+        return { ok: false, result: { success: false, ...describeError(error, 'COMMAND_FAILED') } };
+    }
+}
+
+// Drop undefined values so the tools apply their own defaults
+function definedOnly(args) {
+    return Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values: options, positionals } = parsed;
+
+    if (options.help || positionals.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+    setDebugLogging(options.verbose);
+
+    let name, command, args, toolName;
+    try {
+        ({ name, command, rest: args } = findCommand(positionals));
+        toolName = typeof command.tool === 'function' ? command.tool(args) : command.tool;
+        args = await command.args(args, options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`pinkfrog: ${error.message}\nRun "pinkfrog --help" for usage.`);
+            return 2;
+        }
+        throw error;
+    }
+
+    const registry = command.run ? null : await createDefaultRegistry();
+    const { ok, result } = command.run
+        ? await runCommand(command, args)
+        : await registry.call(toolName, definedOnly(args), { actor: 'cli' });
+    const failed = !ok || Boolean(command.failed && command.failed(result));
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (!ok) {
+        console.error(`pinkfrog ${name}: ${result.message}`);
+    } else {
+        const text = command.print ? command.print(result) : result.message ?? JSON.stringify(result, null, 2);
+        (failed ? console.error : console.log)(text);
+    }
+
+    if (command.keepAlive && ok) {
+        // The preview server keeps the process running until interrupted
+        const shutdown = async () => {
+            await registry.call('stop_server', {}, { actor: 'cli' });
+            process.exit(0);
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+        return null;
+    }
+
+    return failed ? 1 : 0;
+}
+
+main().then(code => {
+    if (code !== null) {
+        process.exitCode = code;
+    }
+}).catch(error => {
+    console.error(`pinkfrog: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -1,16 +1,88 @@
 import express from 'express';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { createProvider } from './lib/llm/index.js';
+import { describeError, CmsError } from './lib/errors.js';
+import { MEDIA_ROOT } from './lib/paths.js';
+import { createApiRouter, sendError } from './lib/api.js';
+import {
+    roleAllows, authenticate, verifyToken, hasUsers, listTokens, createToken, revokeToken,
+    startLoginSession, endLoginSession, loginSessionUser, LOGIN_SESSION_MS,
+} from './lib/auth.js';
+import { withSession, loadSession, listSessions, resetSession, deleteSession, createSession } from './lib/chat-sessions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.resolve(__dirname, '.env') });
 
+// Most tool calls the agent may make for one prompt
+const AGENT_MAX_STEPS = Number.parseInt(process.env.AGENT_MAX_STEPS, 10) || 10;
+
+/**
+ * The JSON a tool returned, parsed out of the MCP { content: [...] }
+ * envelope. Providers need an object as function response.
+ */
+function parseToolResult(result) {
+    const text = (result.content || [])
+        .filter(item => item.type === 'text')
+        .map(item => item.text)
+        .join('\n');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        data = { text };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        data = { result: data };
+    }
+    if (result.isError && data.success === undefined) {
+        data.success = false;
+    }
+    return data;
+}
+
+// Argument names that say what a tool call works on, for progress messages
+const TARGET_ARGS = ['fileName', 'pageName', 'newName', 'component', 'templateName', 'name'];
+
+// "calling save_html for policy.html"
+function describeToolCall(name, args) {
+    const key = TARGET_ARGS.find(arg => typeof args[arg] === 'string');
+    return key ? `calling ${name} for ${args[key]}` : `calling ${name}`;
+}
+
+const LOGIN_COOKIE = 'pinkfrog_session';
+
+// Everyone is a publisher when PINKFROG_AUTH=off, e.g. on a developer machine
+const LOCAL_USER = { username: 'local', role: 'publisher' };
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+// MCP request _meta telling the tools who is calling
+function userMeta(user) {
+    return { 'pinkfrog/user': user.username, 'pinkfrog/role': user.role };
+}
+
+function readPrompt(body) {
+    const { prompt, sessionId = null } = body || {};
+    if (typeof prompt !== 'string' || prompt.trim() === '') {
+        throw new CmsError('INVALID_ARGUMENTS', 'A prompt is required');
+    }
+    return { prompt, sessionId };
+}
+
 class MCPClient {
     constructor(cmsDir) {
         this.client = new Client({
@@ -60,7 +132,8 @@ class MCPClient {
         }
     }
 
-    async callTool(name, args) {
+    // meta is sent as the request's _meta, e.g. the web user and role
+    async callTool(name, args, meta = null) {
         try {
             console.log(`Calling tool: ${name} with args:`, JSON.stringify(args));
             console.log('MCP client status:', this.client ? 'connected' : 'not connected');
@@ -69,7 +142,7 @@ class MCPClient {
             const toolArgs = args || {};
             
             console.log('About to call client.callTool...');
-            const result = await this.client.callTool({ name, arguments: toolArgs });
+            const result = await this.client.callTool({ name, arguments: toolArgs, ...(meta ? { _meta: meta } : {}) });
             console.log('Tool call completed successfully');
             console.log('Tool call result:', JSON.stringify(result, null, 2));
             return result;
@@ -80,8 +153,8 @@ class MCPClient {
         }
     }
 
-    async listPages() {
-        const result = await this.callTool('list_pages', {});
+    async listPages(dataSet = 'default', meta = null) {
+        const result = await this.callTool('list_pages', { dataSet }, meta);
         if (result.content && result.content[0].type === 'text') {
             const data = JSON.parse(result.content[0].text);
             return data.pages;
@@ -94,81 +167,284 @@ class CMSServer {
     constructor(mcpClient) {
         this.app = express();
         this.port = 3001;
-        this.genAI = this.initializeGoogleGenerativeAI();
+        this.provider = null;
         this.mcpClient = mcpClient;
+        this.authEnabled = process.env.PINKFROG_AUTH !== 'off';
         this.setupMiddleware();
         this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    // The configured LLM provider, created on first use so the server starts without an API key
+    async getProvider() {
+        if (!this.provider) {
+            this.provider = await createProvider();
+            console.log(`Using LLM provider ${this.provider.name} (${this.provider.model})`);
+        }
+        return this.provider;
+    }
+
+    /**
+     * Send prompt to the model and run the tools it asks for until it
+     * answers without a tool call or AGENT_MAX_STEPS tool calls were made.
+     * messages is the conversation so far and gets the new turns appended.
+     * The model is only offered the tools user's role may call.
+     * onEvent(event, data), when given, streams the answer: 'token' events
+     * with pieces of text and 'tool_call' / 'tool_result' progress events.
+     * Resolves to { text, transcript, steps, stopReason } where transcript
+     * lists every tool call with its args and parsed result.
+     */
+    async runAgent(prompt, { messages = [], onEvent = null, user = LOCAL_USER } = {}) {
+        const provider = await this.getProvider();
+        const tools = await this.toolsFor(user);
+        const onText = onEvent ? text => onEvent('token', { text }) : null;
+        const transcript = [];
+        messages.push({ role: 'user', text: prompt });
+
+        while (true) {
+            console.log(`Sending ${messages.length} message(s) to ${provider.name}...`);
+            const { text, toolCalls } = await provider.complete({ messages, tools, onText });
+            messages.push({ role: 'assistant', text, toolCalls });
+
+            if (toolCalls.length === 0) {
+                return { text, transcript, steps: transcript.length, stopReason: 'done' };
+            }
+            if (transcript.length + toolCalls.length > AGENT_MAX_STEPS) {
+                console.log(`Stopping after ${transcript.length} tool calls (limit ${AGENT_MAX_STEPS})`);
+                // Unanswered calls would make the history invalid for the next prompt, and
+                // providers reject an empty assistant turn, so the notice replaces them
+                const notice = `(Stopped after ${transcript.length} tool calls, the limit for one prompt. The tool calls requested next were not run.)`;
+                const stoppedText = text.trim() ? `${text.trim()}\n\n${notice}` : notice;
+                messages.pop();
+                messages.push({ role: 'assistant', text: stoppedText, toolCalls: [] });
+                return { text: stoppedText, transcript, steps: transcript.length, stopReason: 'max_steps' };
+            }
+
+            // The model may ask for several calls at once; they run in the order
+            // given, as later calls may depend on earlier ones (create, then build)
+            const results = [];
+            for (const call of toolCalls) {
+                onEvent?.('tool_call', { id: call.id, tool: call.name, args: call.args, message: describeToolCall(call.name, call.args) });
+                const entry = await this.runToolCall(call, user);
+                onEvent?.('tool_result', { id: call.id, tool: call.name, success: entry.success, message: entry.result.message || null });
+                transcript.push(entry);
+                results.push({ id: call.id, name: call.name, result: entry.result });
+            }
+            messages.push({ role: 'tool', results });
+        }
+    }
+
+    // The MCP tools the role of user may call; the server lists each tool's role in _meta
+    async toolsFor(user) {
+        const { tools } = await this.mcpClient.listTools();
+        return tools.filter(tool => roleAllows(user.role, tool._meta?.['pinkfrog/role'] || 'publisher'));
+    }
+
+    /**
+     * Run a prompt in a chat session of user (a new one without sessionId).
+     * If the run fails, the session keeps its history from before the prompt.
+     */
+    async chat({ prompt, sessionId }, user, onEvent = null) {
+        const { session, result } = await withSession(sessionId, user.username, async session => {
+            onEvent?.('session', { sessionId: session.id });
+            const messages = [...session.messages];
+            const result = await this.runAgent(prompt, { messages, onEvent, user });
+            session.messages = messages;
+            return result;
+        });
+        return { sessionId: session.id, ...result };
+    }
+
+    // One tool call as a transcript entry; failures go back to the model too
+    async runToolCall(call, user) {
+        console.log(`Model requested to call tool: "${call.name}" with args:`, call.args);
+        try {
+            const result = parseToolResult(await this.mcpClient.callTool(call.name, call.args, userMeta(user)));
+            return { tool: call.name, args: call.args, success: result.success !== false, result };
+        } catch (error) {
+            return {
+                tool: call.name,
+                args: call.args,
+                success: false,
+                result: { success: false, message: error.message },
+            };
+        }
     }
 
-    initializeGoogleGenerativeAI() {
-        if (!process.env.GEMINI_KEY) {
-            console.error("GEMINI_KEY is not set in the .env file.");
-            process.exit(1);
+    // The user a request comes from: an API token, else the login cookie
+    async requestUser(req) {
+        if (!this.authEnabled) {
+            return LOCAL_USER;
+        }
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return verifyToken(authorization.slice('Bearer '.length).trim());
         }
-        return new GoogleGenerativeAI(process.env.GEMINI_KEY);
+        const loginId = readCookie(req, LOGIN_COOKIE);
+        return loginId ? loginSessionUser(loginId) : null;
+    }
+
+    // Middleware answering 401 unless the request comes from a user, who is set as req.user
+    requireUser() {
+        return async (req, res, next) => {
+            req.user = await this.requestUser(req);
+            if (req.user) {
+                next();
+                return;
+            }
+            const message = await hasUsers()
+                ? 'Log in or send "Authorization: Bearer <token>"'
+                : 'No users yet: add one with "pinkfrog users add <name> --role publisher"';
+            sendError(res, { code: 'UNAUTHORIZED', message });
+        };
     }
 
     setupMiddleware() {
         this.app.use(express.json());
-        this.app.use(express.static('public'));
+        this.app.use(express.static(path.join(__dirname, 'public')));
+        // Pages and component previews link media by their site path
+        this.app.use('/media', express.static(MEDIA_ROOT));
+        // The admin UI itself is public; everything it loads needs a user
+        this.app.use(['/gemini', '/sessions', '/pages', '/api', '/me', '/tokens'], this.requireUser());
     }
 
     setupRoutes() {
+        this.app.post('/login', async (req, res) => {
+            const { username, password } = req.body || {};
+            const user = await authenticate(username, password);
+            if (!user) {
+                sendError(res, { code: 'INVALID_CREDENTIALS', message: 'Unknown user name or wrong password' });
+                return;
+            }
+            res.cookie(LOGIN_COOKIE, startLoginSession(user), {
+                httpOnly: true,
+                sameSite: 'strict',
+                maxAge: LOGIN_SESSION_MS,
+            });
+            console.log(`${user.username} logged in`);
+            res.json({ success: true, user });
+        });
+
+        this.app.post('/logout', (req, res) => {
+            const loginId = readCookie(req, LOGIN_COOKIE);
+            if (loginId) {
+                endLoginSession(loginId);
+            }
+            res.clearCookie(LOGIN_COOKIE);
+            res.json({ success: true });
+        });
+
+        this.app.get('/me', (req, res) => {
+            res.json({ user: req.user, authEnabled: this.authEnabled });
+        });
+
+        // The caller's own API tokens
+        this.app.get('/tokens', async (req, res) => {
+            try {
+                res.json({ tokens: await listTokens(req.user.username) });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+
+        this.app.post('/tokens', async (req, res) => {
+            try {
+                const { name } = req.body || {};
+                res.status(201).json(await createToken(req.user.username, typeof name === 'string' && name.trim() ? name.trim() : undefined));
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+
+        this.app.delete('/tokens/:id', async (req, res) => {
+            try {
+                res.json({ success: true, ...await revokeToken(req.user.username, req.params.id) });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+
         this.app.post('/gemini', async (req, res) => {
             try {
-                const { prompt } = req.body;
-                console.log(`Received prompt: "${prompt}"`);
-
-                console.log('Listing tools from MCP server...');
-                const tools = await this.mcpClient.listTools();
-                console.log('Received tools:', JSON.stringify(tools, null, 2));
-
-                const functionDeclarations = tools.tools.map(tool => ({
-                    name: tool.name,
-                    description: tool.description,
-                    parameters: tool.inputSchema,
-                }));
-
-                console.log('Initializing Gemini model with tools...');
-                const model = this.genAI.getGenerativeModel({
-                    model: 'gemini-1.5-flash',
-                    tools: {
-                        functionDeclarations,
-                    },
-                });
-
-                const chat = model.startChat();
-                console.log('Sending prompt to Gemini...');
-                const result = await chat.sendMessage(prompt);
-                console.log('Received response from Gemini.');
-
-                const call = result.response.functionCalls()?.[0];
-
-                if (call) {
-                    console.log(`Gemini requested to call tool: "${call.name}" with args:`, call.args);
-                    
-                    // Use the mcpClient's callTool method instead of direct client access
-                    const apiResult = await this.mcpClient.callTool(call.name, call.args);
-                    console.log('Received tool result from MCP server:', JSON.stringify(apiResult, null, 2));
-
-                    console.log('Sending tool result back to Gemini...');
-                    const result2 = await chat.sendMessage([{ 
-                        functionResponse: { 
-                            name: call.name, 
-                            response: apiResult 
-                        } 
-                    }]);
-                    console.log('Received final response from Gemini.');
-                    const text = result2.response.text();
-                    res.json({ text });
-                } else {
-                    console.log('No tool call requested by Gemini.');
-                    const text = result.response.text();
-                    res.json({ text });
+                const request = readPrompt(req.body);
+                console.log(`Received prompt: "${request.prompt}"`);
+                res.json(await this.chat(request, req.user));
+            } catch (error) {
+                console.error('Error running the agent:', error);
+                sendError(res, error, 'LLM_REQUEST_FAILED');
+            }
+        });
+
+        // The same as /gemini, answered with server-sent events as the agent works
+        this.app.post('/gemini/stream', async (req, res) => {
+            let request;
+            try {
+                request = readPrompt(req.body);
+            } catch (error) {
+                sendError(res, error, 'LLM_REQUEST_FAILED');
+                return;
+            }
+            console.log(`Received streaming prompt: "${request.prompt}"`);
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+            });
+            // A closed browser tab does not stop the run, so the session stays complete
+            const send = (event, data) => {
+                if (!res.writableEnded && !res.destroyed) {
+                    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
                 }
+            };
+
+            try {
+                send('done', await this.chat(request, req.user, send));
             } catch (error) {
-                console.error('Detailed error from Gemini API:', error);
-                res.status(500).json({ error: 'Failed to get response from Gemini. Check server logs for details.' });
+                console.error('Error running the agent:', error);
+                const { code, message } = describeError(error, 'LLM_REQUEST_FAILED');
+                send('error', { code, message });
+            }
+            res.end();
+        });
+
+        this.app.get('/sessions', async (req, res) => {
+            res.json({ sessions: await listSessions(req.user.username) });
+        });
+
+        this.app.post('/sessions', async (req, res) => {
+            try {
+                const session = await createSession(req.user.username);
+                res.status(201).json({ sessionId: session.id });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+
+        this.app.get('/sessions/:id', async (req, res) => {
+            try {
+                res.json(await loadSession(req.params.id, req.user.username));
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+
+        this.app.post('/sessions/:id/reset', async (req, res) => {
+            try {
+                const session = await resetSession(req.params.id, req.user.username);
+                res.json({ success: true, sessionId: session.id });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+
+        this.app.delete('/sessions/:id', async (req, res) => {
+            try {
+                await loadSession(req.params.id, req.user.username);
+                await deleteSession(req.params.id);
+                res.json({ success: true, sessionId: req.params.id });
+            } catch (error) {
+                sendError(res, error);
             }
         });
 
@@ -176,9 +452,13 @@ class CMSServer {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
         });
 
+        this.app.use('/api', createApiRouter(async (name, args, req) => (
+            parseToolResult(await this.mcpClient.callTool(name, args, userMeta(req.user)))
+        )));
+
         this.app.get('/pages', async (req, res) => {
             try {
-                const pages = await this.mcpClient.listPages();
+                const pages = await this.mcpClient.listPages(req.query.dataSet, userMeta(req.user));
                 res.json({ pages });
             } catch (error) {
                 console.error('Error listing pages:', error);
@@ -187,6 +467,18 @@ class CMSServer {
         });
     }
 
+    setupErrorHandling() {
+        // Malformed JSON bodies and other errors of the middleware
+        this.app.use((error, req, res, next) => {
+            if (res.headersSent) {
+                next(error);
+                return;
+            }
+            const code = error.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'REQUEST_FAILED';
+            res.status(error.status || 500).json({ error: error.message, code });
+        });
+    }
+
     listen() {
         this.app.listen(this.port, () => {
             console.log(`CMS server listening at http://localhost:${this.port}`);
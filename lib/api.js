@@ -0,0 +1,369 @@
+import express from 'express';
+import Ajv from 'ajv';
+import { describeError, CmsError } from './errors.js';
+import { BUILTIN_TOOLS } from './tools/index.js';
+
+/**
+ * The JSON API of the web server. Every route runs one MCP tool:
+ *
+ *   {
+ *     method: 'put',
+ *     path: '/pages/:dataSet/*page',
+ *     tool: 'update_page',
+ *     summary: 'Update a page',
+ *     body: { ...JSON Schema of the request body },
+ *     args: (params, body) => ({ ...tool arguments }),
+ *   }
+ *
+ * *page matches one or more segments, so pages in folders such as
+ * posts/hello.md have routes too; the handler gets them joined with "/".
+ * Request bodies are checked against body before the tool runs, and the
+ * same table produces the OpenAPI document.
+ */
+
+// HTTP status for an error code of a tool or the chat endpoints; others are 500
+const ERROR_STATUS = {
+    INVALID_ARGUMENTS: 400,
+    INVALID_BODY: 400,
+    INVALID_JSON: 400,
+    INVALID_FRONTMATTER: 400,
+    INVALID_PATCH: 400,
+    EMPTY_PATH: 400,
+    INVALID_PATH: 400,
+    ABSOLUTE_PATH: 400,
+    PARENT_SEGMENT: 400,
+    INVALID_NAME: 400,
+    OUTSIDE_ROOT: 400,
+    SYMLINK_ESCAPE: 400,
+    UNAUTHORIZED: 401,
+    INVALID_CREDENTIALS: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    UNKNOWN_TOOL: 404,
+    SESSION_NOT_FOUND: 404,
+    CONTENT_NOT_FOUND: 404,
+    COMPONENT_NOT_FOUND: 404,
+    TEMPLATE_NOT_FOUND: 404,
+    USER_NOT_FOUND: 404,
+    TOKEN_NOT_FOUND: 404,
+    REVISION_NOT_FOUND: 404,
+    COLLECTION_NOT_FOUND: 404,
+    ALREADY_EXISTS: 409,
+    USER_EXISTS: 409,
+    PAGE_EXISTS: 409,
+    PATCH_NOT_MATCHED: 409,
+    REVISION_DELETED: 409,
+    BUILD_FAILED: 422,
+    LLM_NOT_CONFIGURED: 503,
+};
+
+export function statusForCode(code) {
+    return ERROR_STATUS[code] || 500;
+}
+
+// Answer with an { error, code, ... } body for a thrown error or a tool's error payload
+export function sendError(res, error, fallbackCode = 'TOOL_FAILED') {
+    const { code, message, ...details } = error instanceof Error ? describeError(error, fallbackCode) : error;
+    res.status(statusForCode(code)).json({ error: message, code, ...details });
+}
+
+// Properties of a built-in tool's input schema, so the API documents them the same way
+function toolProperties(toolName, names) {
+    const { properties } = BUILTIN_TOOLS.find(tool => tool.name === toolName).inputSchema;
+    return Object.fromEntries(names.map(name => [name, properties[name]]));
+}
+
+function bodySchema(properties, required = []) {
+    return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function notFoundUnless(exists, code, message) {
+    if (!exists) {
+        throw new CmsError(code, message);
+    }
+}
+
+const ROUTES = [
+    {
+        method: 'get',
+        path: '/pages/:dataSet',
+        tool: 'list_pages',
+        summary: 'List the pages of a dataSet',
+        args: ({ dataSet }) => ({ dataSet }),
+    },
+    {
+        method: 'get',
+        path: '/pages/:dataSet/*page',
+        tool: 'get_page',
+        summary: 'Get a page with its frontmatter and Markdown',
+        args: ({ dataSet, page }) => ({ dataSet, pageName: page }),
+    },
+    {
+        method: 'post',
+        path: '/pages/:dataSet/*page',
+        tool: 'create_page',
+        summary: 'Create a page',
+        status: 201,
+        body: bodySchema({
+            ...toolProperties('create_page', ['frontmatter', 'overwrite']),
+            content: { type: 'string', description: 'The Markdown body of the page', default: '' },
+        }),
+        args: ({ dataSet, page }, { frontmatter, content, overwrite }) => ({ dataSet, fileName: page, frontmatter, copy: content, overwrite }),
+    },
+    {
+        method: 'put',
+        path: '/pages/:dataSet/*page',
+        tool: 'update_page',
+        summary: 'Update a page: merge frontmatter and replace or patch the Markdown',
+        body: bodySchema(toolProperties('update_page', ['frontmatter', 'content', 'patches'])),
+        args: ({ dataSet, page }, body) => ({ dataSet, pageName: page, ...body }),
+    },
+    {
+        method: 'delete',
+        path: '/pages/:dataSet/*page',
+        tool: 'delete_page',
+        summary: 'Delete a page',
+        args: ({ dataSet, page }) => ({ dataSet, pageName: page }),
+    },
+    {
+        method: 'post',
+        path: '/pages/:dataSet/*page/publish',
+        tool: 'publish_page',
+        summary: 'Publish a draft page, now or at publishDate',
+        body: bodySchema(toolProperties('publish_page', ['publishDate', 'expiryDate'])),
+        args: ({ dataSet, page }, body) => ({ dataSet, pageName: page, ...body }),
+    },
+    {
+        method: 'get',
+        path: '/pages/:dataSet/*page/revisions',
+        tool: 'list_revisions',
+        summary: 'List the saved revisions of a page, newest first',
+        args: ({ dataSet, page }) => ({ dataSet, pageName: page }),
+    },
+    {
+        method: 'get',
+        path: '/pages/:dataSet/*page/revisions/:revision/diff',
+        tool: 'diff_revision',
+        summary: 'Diff the frontmatter and body of a revision against the page as it is now',
+        args: ({ dataSet, page, revision }) => ({ dataSet, pageName: page, revision }),
+    },
+    {
+        method: 'post',
+        path: '/pages/:dataSet/*page/revisions/:revision/restore',
+        tool: 'restore_revision',
+        summary: 'Write a revision back to the page file',
+        args: ({ dataSet, page, revision }) => ({ dataSet, pageName: page, revision }),
+    },
+    {
+        method: 'get',
+        path: '/components',
+        tool: 'list_components',
+        summary: 'List the components of the decoration',
+        args: () => ({}),
+    },
+    {
+        method: 'get',
+        path: '/components/:name',
+        tool: 'get_component',
+        summary: 'Get a component: template, example.md and example.html',
+        args: ({ name }) => ({ component: name }),
+        check: result => notFoundUnless(result.componentExists, 'COMPONENT_NOT_FOUND', `Component "${result.component}" not found`),
+    },
+    {
+        method: 'get',
+        path: '/templates',
+        tool: 'list_templates',
+        summary: 'List the page templates of the decoration',
+        args: () => ({}),
+    },
+    {
+        method: 'get',
+        path: '/templates/:name',
+        tool: 'get_template',
+        summary: 'Get a page template',
+        args: ({ name }) => ({ template: name }),
+        check: result => notFoundUnless(result.templateExists, 'TEMPLATE_NOT_FOUND', `Template "${result.templateName}" not found`),
+    },
+    {
+        method: 'post',
+        path: '/preview',
+        tool: 'preview_page',
+        summary: 'Render a saved page or unsaved page source to HTML without writing it',
+        body: bodySchema(toolProperties('preview_page', ['pageName', 'source', 'dataSet'])),
+        args: (params, body) => body,
+    },
+    {
+        method: 'post',
+        path: '/build',
+        tool: 'build_site',
+        summary: 'Build the pages of a dataSet to dist; answers 422 with the report when pages fail',
+        body: bodySchema(toolProperties('build_site', ['dataSet', 'force'])),
+        args: (params, body) => body,
+    },
+    {
+        method: 'post',
+        path: '/sitemap',
+        tool: 'xml_sitemap',
+        summary: 'Generate dist/sitemap.xml',
+        body: bodySchema(toolProperties('xml_sitemap', ['baseUrl', 'dataSet', 'dataSets'])),
+        args: (params, body) => body,
+    },
+    {
+        method: 'post',
+        path: '/robots',
+        tool: 'robots_txt',
+        summary: 'Generate dist/robots.txt',
+        body: bodySchema(toolProperties('robots_txt', ['baseUrl', 'sitemap'])),
+        args: (params, body) => body,
+    },
+    {
+        method: 'post',
+        path: '/feeds',
+        tool: 'generate_feeds',
+        summary: 'Generate the RSS, Atom and JSON feeds in dist',
+        body: bodySchema(toolProperties('generate_feeds', ['dataSet', 'collection', 'baseUrl', 'limit'])),
+        args: (params, body) => body,
+    },
+    {
+        method: 'post',
+        path: '/media',
+        tool: 'copy_media',
+        summary: 'Copy new and changed media files to dist/media',
+        body: bodySchema(toolProperties('copy_media', ['force'])),
+        args: (params, body) => body,
+    },
+];
+
+const PATH_PARAMETER = /[:*](\w+)/g;
+
+// "/pages/:dataSet/*page" as OpenAPI writes it: "/pages/{dataSet}/{page}"
+function openApiPath(routePath) {
+    return routePath.replace(PATH_PARAMETER, '{$1}');
+}
+
+// The path parameters of a route; a *wildcard may span several segments
+function openApiParameters(routePath) {
+    return [...routePath.matchAll(PATH_PARAMETER)].map(([match, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        ...(match.startsWith('*') ? { description: 'One or more segments: may contain unencoded slashes, e.g. posts/hello.md for a page in a folder' } : {}),
+        schema: { type: 'string' },
+    }));
+}
+
+// More specific routes first, so /pages/:dataSet/*page does not swallow .../publish
+function routeOrder(a, b) {
+    return b.path.split('/').length - a.path.split('/').length;
+}
+
+// Route parameters as strings: a wildcard's segments joined with "/"
+function routeParams(params) {
+    return Object.fromEntries(Object.entries(params).map(([name, value]) => [name, Array.isArray(value) ? value.join('/') : value]));
+}
+
+const ERROR_RESPONSE = {
+    description: 'The request failed',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+};
+
+export function openApiDocument() {
+    const paths = {};
+    for (const route of ROUTES) {
+        const parameters = openApiParameters(route.path);
+        paths[openApiPath(route.path)] = {
+            ...paths[openApiPath(route.path)],
+            [route.method]: {
+                operationId: `${route.method}${route.path.replace(/\/[:*]?(\w)(\w*)/g, (match, first, rest) => first.toUpperCase() + rest)}`,
+                summary: route.summary,
+                description: `Runs the MCP tool \`${route.tool}\`.`,
+                ...(parameters.length > 0 ? { parameters } : {}),
+                ...(route.body ? {
+                    requestBody: { required: false, content: { 'application/json': { schema: route.body } } },
+                } : {}),
+                responses: {
+                    [route.status || 200]: {
+                        description: `The result of ${route.tool}`,
+                        content: { 'application/json': { schema: { type: 'object' } } },
+                    },
+                    default: ERROR_RESPONSE,
+                },
+            },
+        };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: { title: 'PinkFrog CMS API', version: '1.0.0' },
+        servers: [{ url: '/api' }],
+        paths,
+        components: {
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string', description: 'What went wrong' },
+                        code: { type: 'string', description: 'Machine readable error code, e.g. PAGE_EXISTS' },
+                    },
+                    required: ['error', 'code'],
+                },
+            },
+        },
+    };
+}
+
+// Field errors as { path, message } pairs, as the tool registry reports them
+function validationErrors(errors) {
+    return errors.map(error => ({
+        path: error.dataPath || '/',
+        message: error.params && error.params.additionalProperty
+            ? `unknown field "${error.params.additionalProperty}"`
+            : error.message,
+    }));
+}
+
+/**
+ * An express router with the API routes. callTool(name, args, req) resolves
+ * to the parsed result of an MCP tool, called as the user of req.
+ */
+export function createApiRouter(callTool) {
+    const ajv = new Ajv({ allErrors: true, useDefaults: true });
+    const router = express.Router();
+
+    router.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument());
+    });
+
+    for (const route of [...ROUTES].sort(routeOrder)) {
+        const validate = route.body ? ajv.compile(route.body) : null;
+
+        router[route.method](route.path, async (req, res) => {
+            try {
+                const body = structuredClone(req.body ?? {});
+                if (validate && !validate(body)) {
+                    const errors = validationErrors(validate.errors);
+                    sendError(res, {
+                        code: 'INVALID_BODY',
+                        message: `Invalid request body: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+                        errors,
+                    });
+                    return;
+                }
+
+                const result = await callTool(route.tool, route.args(routeParams(req.params), body), req);
+                if (result.success === false) {
+                    // The rest of the result, such as a build report, stays in the answer
+                    const { success, message, tool, error, ...rest } = result;
+                    sendError(res, { ...rest, ...(error || { code: 'TOOL_FAILED', message }) });
+                    return;
+                }
+                route.check?.(result);
+                res.status(route.status || 200).json(result);
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+    }
+
+    return router;
+}
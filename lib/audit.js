@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createHash } from 'crypto';
+import { CMS_DIR, STATE_DIR } from './config.js';
+import { contentDirPath } from './paths.js';
+import { CmsError, describeError } from './errors.js';
+import { debugLog } from './log.js';
+
+/**
+ * Audit log of the tool calls that change content or dist, one JSON object
+ * per line in .pinkfrog/audit.jsonl:
+ *
+ *   { timestamp, actor, tool, args, success, error, paths: [{ path, before, after }] }
+ *
+ * Tools opt in with audit.paths(args), the files or directories a call may
+ * change. They are hashed (sha256) before and after the call. A file named
+ * by audit.paths is listed when it exists before or after; below a
+ * directory only the files that changed are. Paths are relative to CMS_DIR
+ * and the hash of a missing file is null. The log is only ever appended to.
+ */
+
+export const AUDIT_LOG_PATH = path.join(STATE_DIR, 'audit.jsonl');
+
+// The last hash of each file with its size and mtime, so unchanged files are read once
+const hashCache = new Map();
+
+async function hashFile(filePath, stats) {
+    const cached = hashCache.get(filePath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+        return cached.hash;
+    }
+    const hash = createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    const digest = hash.digest('hex');
+    hashCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash: digest });
+    return digest;
+}
+
+// Hashes by path of the file at target, or of every file below the directory at target
+async function snapshot(target, hashes = new Map()) {
+    let stats;
+    try {
+        stats = await fs.lstat(target);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return hashes;
+        }
+        throw error;
+    }
+
+    if (stats.isDirectory()) {
+        for (const entry of await fs.readdir(target)) {
+            await snapshot(path.join(target, entry), hashes);
+        }
+    } else if (stats.isFile()) {
+        hashes.set(target, await hashFile(target, stats));
+    }
+    return hashes;
+}
+
+async function snapshotAll(targets) {
+    const hashes = new Map();
+    for (const target of targets) {
+        await snapshot(target, hashes);
+    }
+    return hashes;
+}
+
+function changedPaths(targets, before, after) {
+    const paths = [...new Set([...before.keys(), ...after.keys()])].sort();
+    return paths
+        .filter(filePath => targets.includes(filePath) || before.get(filePath) !== after.get(filePath))
+        .map(filePath => ({
+            path: path.relative(CMS_DIR, filePath),
+            before: before.get(filePath) ?? null,
+            after: after.get(filePath) ?? null,
+        }));
+}
+
+// Who made a call: the web user, the CLI or the MCP client
+function actorOf(context) {
+    if (context.user) {
+        return `user:${context.user}`;
+    }
+    if (context.actor) {
+        return context.actor;
+    }
+    if (context.client && context.client.name) {
+        return `mcp:${context.client.name}`;
+    }
+    return 'unknown';
+}
+
+async function appendEntry(entry) {
+    await fs.mkdir(STATE_DIR, { recursive: true });
+    await fs.appendFile(AUDIT_LOG_PATH, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Run a call of tool through run(), which resolves to the registry's
+ * { ok, result }, and log it. A call whose paths cannot be resolved, such
+ * as one with a ".." page name, is logged with no paths: the tool fails on
+ * the same arguments without changing anything. Failing to write the log
+ * does not fail the call.
+ */
+export async function auditCall(tool, args, context, run) {
+    let targets = null;
+    let before;
+    try {
+        const resolved = (await tool.audit.paths(args)).map(target => path.resolve(target));
+        before = await snapshotAll(resolved);
+        targets = resolved;
+    } catch (error) {
+        debugLog(`No audit paths for ${tool.name}:`, error.message);
+    }
+
+    const outcome = await run();
+    try {
+        const after = targets ? await snapshotAll(targets) : new Map();
+        await appendEntry({
+            timestamp: new Date().toISOString(),
+            actor: actorOf(context),
+            tool: tool.name,
+            args,
+            success: outcome.ok,
+            ...(outcome.ok ? {} : { error: outcome.result.error ? outcome.result.error.code : 'TOOL_FAILED' }),
+            paths: targets ? changedPaths(targets, before, after) : [],
+        });
+    } catch (error) {
+        debugLog(`Error writing the audit log for ${tool.name}:`, error.message);
+    }
+    return outcome;
+}
+
+/**
+ * Run tool's handler outside the registry, such as the preview server's
+ * rebuilds, and log it like a call made by actor. Resolves to the
+ * handler's result and throws what the handler throws.
+ */
+export async function runAudited(tool, args, actor) {
+    let failure = null;
+    const { result } = await auditCall(tool, structuredClone(args), { actor }, async () => {
+        try {
+            const handled = await tool.handler(args, {});
+            return { ok: handled.success !== false, result: handled };
+        } catch (error) {
+            failure = error;
+            return { ok: false, result: { error: describeError(error, 'TOOL_FAILED') } };
+        }
+    });
+    if (failure) {
+        throw failure;
+    }
+    return result;
+}
+
+// A date or date-time argument as a time; a bare date as upper bound means the end of that day
+function parseTime(value, name, endOfDay = false) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new CmsError('INVALID_ARGUMENTS', `${name} must be a date like 2024-05-01 or 2024-05-01T12:00:00Z, got "${value}"`);
+    }
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Entries of the audit log, newest first. pageName (in dataSet) keeps the
+ * entries that changed that page file, tool the calls of one tool, and
+ * from / to the entries inside a date range (both inclusive).
+ */
+export async function readAuditLog({ pageName, dataSet = 'default', tool, from, to, limit = 100 } = {}) {
+    const pagePath = pageName !== undefined ? path.relative(CMS_DIR, path.join(contentDirPath(dataSet), pageName)) : null;
+    const fromTime = from !== undefined ? parseTime(from, 'from') : -Infinity;
+    const toTime = to !== undefined ? parseTime(to, 'to', true) : Infinity;
+
+    const entries = [];
+    let lines;
+    try {
+        await fs.access(AUDIT_LOG_PATH);
+        lines = readline.createInterface({ input: createReadStream(AUDIT_LOG_PATH), crlfDelay: Infinity });
+    } catch (error) {
+        return entries;
+    }
+
+    for await (const line of lines) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        const time = Date.parse(entry.timestamp);
+        if ((tool === undefined || entry.tool === tool)
+            && time >= fromTime && time <= toTime
+            && (pagePath === null || entry.paths.some(changed => changed.path === pagePath))) {
+            entries.push(entry);
+        }
+    }
+    return entries.reverse().slice(0, limit);
+}
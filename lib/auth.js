@@ -0,0 +1,255 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { randomBytes, randomUUID, scrypt, createHash, timingSafeEqual } from 'crypto';
+import { STATE_DIR } from './config.js';
+import { CmsError } from './errors.js';
+
+/**
+ * Users of the web server, stored in .pinkfrog/users.json:
+ *
+ *   { users: [{ username, role, password: 'scrypt$<salt>$<hash>', createdAt,
+ *               tokens: [{ id, name, hash, createdAt }] }] }
+ *
+ * Roles build on each other: a viewer can only read, an editor can also
+ * edit pages, a publisher can also build and clear dist. API tokens are
+ * only stored as a sha256 hash and shown once, when created.
+ */
+
+export const USERS_PATH = path.join(STATE_DIR, 'users.json');
+export const ROLES = ['viewer', 'editor', 'publisher'];
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+const USERNAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN = /^pf_([0-9a-f]{16})_([0-9a-f]{64})$/;
+export const LOGIN_SESSION_MS = 12 * 60 * 60 * 1000;
+
+// Whether role may do what required allows; unknown roles may do nothing
+export function roleAllows(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+export async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+    const hash = await scryptAsync(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'hex');
+    return hash.length === expectedHash.length && timingSafeEqual(hash, expectedHash);
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+async function readUsers() {
+    try {
+        return JSON.parse(await fs.readFile(USERS_PATH, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { users: [] };
+        }
+        throw error;
+    }
+}
+
+async function writeUsers(data) {
+    await fs.mkdir(STATE_DIR, { recursive: true });
+    const temporary = `${USERS_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(temporary, USERS_PATH);
+}
+
+let pending = Promise.resolve();
+
+// Run task(data) on the users file and save it afterwards, one change at a time
+function withUsers(task) {
+    const run = pending.then(async () => {
+        const data = await readUsers();
+        const result = await task(data);
+        await writeUsers(data);
+        return result;
+    });
+    pending = run.catch(() => {});
+    return run;
+}
+
+function findUser(data, username) {
+    const user = data.users.find(candidate => candidate.username === username);
+    if (!user) {
+        throw new CmsError('USER_NOT_FOUND', `Unknown user: ${username}`, { username });
+    }
+    return user;
+}
+
+function checkRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new CmsError('INVALID_ARGUMENTS', `Role must be one of ${ROLES.join(', ')}, got "${role}"`);
+    }
+}
+
+function checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new CmsError('INVALID_ARGUMENTS', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+// A user as the rest of the server sees it
+function publicUser(user) {
+    return { username: user.username, role: user.role };
+}
+
+export async function hasUsers() {
+    return (await readUsers()).users.length > 0;
+}
+
+export async function listUsers() {
+    const { users } = await readUsers();
+    return users.map(user => ({
+        ...publicUser(user),
+        createdAt: user.createdAt,
+        tokens: user.tokens.map(({ id, name, createdAt }) => ({ id, name, createdAt })),
+    }));
+}
+
+export async function addUser({ username, password, role }) {
+    if (typeof username !== 'string' || !USERNAME.test(username)) {
+        throw new CmsError('INVALID_ARGUMENTS', 'User names are letters, digits, ".", "_" and "-"');
+    }
+    checkRole(role);
+    checkPassword(password);
+    const passwordHash = await hashPassword(password);
+
+    return withUsers(data => {
+        if (data.users.some(user => user.username === username)) {
+            throw new CmsError('USER_EXISTS', `User "${username}" already exists`, { username });
+        }
+        const user = { username, role, password: passwordHash, createdAt: new Date().toISOString(), tokens: [] };
+        data.users.push(user);
+        return publicUser(user);
+    });
+}
+
+export async function setPassword(username, password) {
+    checkPassword(password);
+    const passwordHash = await hashPassword(password);
+    return withUsers(data => {
+        findUser(data, username).password = passwordHash;
+        return { username };
+    });
+}
+
+export function setRole(username, role) {
+    checkRole(role);
+    return withUsers(data => {
+        const user = findUser(data, username);
+        user.role = role;
+        return publicUser(user);
+    });
+}
+
+export function removeUser(username) {
+    return withUsers(data => {
+        findUser(data, username);
+        data.users = data.users.filter(user => user.username !== username);
+        endLoginSessionsOf(username);
+        return { username };
+    });
+}
+
+/**
+ * The user with this name and password, or null. A password is hashed
+ * even for unknown users so both take the same time.
+ */
+export async function authenticate(username, password) {
+    const { users } = await readUsers();
+    const user = users.find(candidate => candidate.username === username);
+    const valid = await verifyPassword(String(password ?? ''), user ? user.password : `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`);
+    return user && valid ? publicUser(user) : null;
+}
+
+// Create an API token; the token itself is only returned here
+export function createToken(username, name = 'API token') {
+    const id = randomBytes(8).toString('hex');
+    const token = `pf_${id}_${randomBytes(32).toString('hex')}`;
+
+    return withUsers(data => {
+        findUser(data, username).tokens.push({ id, name, hash: hashToken(token), createdAt: new Date().toISOString() });
+        return { id, name, token };
+    });
+}
+
+export async function listTokens(username) {
+    const user = findUser(await readUsers(), username);
+    return user.tokens.map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+}
+
+export function revokeToken(username, id) {
+    return withUsers(data => {
+        const user = findUser(data, username);
+        if (!user.tokens.some(token => token.id === id)) {
+            throw new CmsError('TOKEN_NOT_FOUND', `User "${username}" has no token ${id}`, { id });
+        }
+        user.tokens = user.tokens.filter(token => token.id !== id);
+        return { username, id };
+    });
+}
+
+// The user an API token belongs to, or null
+export async function verifyToken(token) {
+    const match = TOKEN.exec(String(token ?? ''));
+    if (!match) {
+        return null;
+    }
+    const hash = Buffer.from(hashToken(token), 'hex');
+    const { users } = await readUsers();
+    for (const user of users) {
+        const entry = user.tokens.find(candidate => candidate.id === match[1]);
+        if (entry && timingSafeEqual(Buffer.from(entry.hash, 'hex'), hash)) {
+            return publicUser(user);
+        }
+    }
+    return null;
+}
+
+// Browser logins, kept in memory: restarting the server logs everyone out
+const loginSessions = new Map();
+
+export function startLoginSession(user) {
+    const id = randomUUID();
+    loginSessions.set(id, { username: user.username, expires: Date.now() + LOGIN_SESSION_MS });
+    return id;
+}
+
+export function endLoginSession(id) {
+    loginSessions.delete(id);
+}
+
+function endLoginSessionsOf(username) {
+    for (const [id, session] of loginSessions) {
+        if (session.username === username) {
+            loginSessions.delete(id);
+        }
+    }
+}
+
+// The user logged in with this session id, or null. Roles are read fresh.
+export async function loginSessionUser(id) {
+    const session = loginSessions.get(id);
+    if (!session || session.expires < Date.now()) {
+        loginSessions.delete(id);
+        return null;
+    }
+    const { users } = await readUsers();
+    const user = users.find(candidate => candidate.username === session.username);
+    return user ? publicUser(user) : null;
+}
@@ -0,0 +1,465 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DIST_DIR } from './config.js';
+import { debugLog } from './log.js';
+import { fillPlaceholders, escapeHtml } from './template.js';
+import { createMarkdownRenderer, readMarkdownSnippets } from './markdown.js';
+import { getDecoration, loadSettings, readPage, listPageFiles, contentDirFor, outputNameFor, parseFrontmatter, publicationStatus, FrontmatterError } from './content.js';
+import { resolveDecorationPath, resolveDistPath } from './paths.js';
+import { parseComponentBlocks, readComponentTemplate, readComponentSchema, extractFields, positionalFields } from './components.js';
+import { loadCollectionPages, collectionOf, relatedPages, collectionListings, tagUrl } from './collections.js';
+import { withManifest, hashInputs } from './manifest.js';
+import { CmsError, describeError } from './errors.js';
+
+/**
+ * Render a component block. Fields come from the component's schema.yml
+ * when it has one, otherwise from the blocks of the body by position;
+ * {{ content }} receives the whole rendered body.
+ */
+async function renderComponent(name, markdown, context) {
+    const template = await readComponentTemplate(context.decoration, name);
+    const schema = await readComponentSchema(context.decoration, name);
+
+    const blocks = context.markdown.renderBlocks(markdown);
+    const values = {
+        content: blocks.map(block => block.html).join('\n'),
+        ...(schema ? extractFields(blocks, schema).values : positionalFields(blocks, template)),
+    };
+
+    return fillPlaceholders(template, values);
+}
+
+// Render a page body: component blocks first, then the remaining Markdown.
+// firstLine is the page file line the body starts on, used in errors.
+async function renderBody(markdown, context, firstLine = 1) {
+    const { blocks, errors } = parseComponentBlocks(markdown);
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => `line ${error.line + firstLine - 1}: ${error.message}`).join('; '));
+    }
+
+    const parts = [];
+    let lastIndex = 0;
+    for (const block of blocks) {
+        parts.push(context.markdown.render(markdown.slice(lastIndex, block.start)).trim());
+        parts.push(await renderComponent(block.name, block.body, context));
+        lastIndex = block.end;
+    }
+    parts.push(context.markdown.render(markdown.slice(lastIndex)).trim());
+
+    return { html: parts.filter(Boolean).join('\n'), components: blocks.map(block => block.name) };
+}
+
+// A decoration file's text, or '' when missing; cached for one build
+async function decorationFile(context, area, fileName) {
+    const key = `${area}/${fileName}`;
+    if (!context.files.has(key)) {
+        const filePath = await resolveDecorationPath(context.decoration, area, fileName);
+        context.files.set(key, await fs.readFile(filePath, 'utf8').catch(() => ''));
+    }
+    return context.files.get(key);
+}
+
+/**
+ * Hash of everything a page's output is made from: the page file, its
+ * template, the components it uses, the Markdown snippets, settings and
+ * values such as its related pages.
+ */
+async function pageInputsHash(page, context, values = {}) {
+    const templateName = page.attributes.template || 'index.html';
+    const components = [...new Set(parseComponentBlocks(page.content).blocks.map(block => block.name))].sort();
+
+    const parts = [page.rawContent, templateName, await decorationFile(context, 'templates', templateName)];
+    for (const name of components) {
+        parts.push(
+            name,
+            await decorationFile(context, 'components', path.join(name, 'template.html')),
+            await decorationFile(context, 'components', path.join(name, 'schema.yml')),
+        );
+    }
+    parts.push(JSON.stringify(values), context.sharedInputs);
+
+    return hashInputs(parts);
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Delete a generated file from dist, ignoring one that is already gone
+async function removeOutput(outputName) {
+    const outputPath = await resolveDistPath(outputName);
+    await fs.rm(outputPath, { force: true });
+    debugLog(`Removed ${outputPath}`);
+    return outputPath;
+}
+
+async function readTemplate(context, templateName) {
+    const templatePath = await resolveDecorationPath(context.decoration, 'templates', templateName);
+    return fs.readFile(templatePath, 'utf8').catch(() => {
+        throw new CmsError('TEMPLATE_NOT_FOUND', `Template "${templateName}" not found at ${templatePath}`, { template: templateName });
+    });
+}
+
+/**
+ * Render a page with its template; nothing is written. values are extra
+ * placeholders, such as the related pages of a collection page.
+ */
+async function renderPage(page, context, values = {}) {
+    const { attributes, content, bodyLine } = page;
+
+    const templateName = attributes.template || 'index.html';
+    const template = await readTemplate(context, templateName);
+
+    const markdown = fillPlaceholders(content, { ...attributes, ...values });
+    const body = await renderBody(markdown, context, bodyLine);
+
+    return {
+        html: fillPlaceholders(template, { ...attributes, ...values, content: body.html }),
+        template: templateName,
+        components: body.components,
+    };
+}
+
+// Links to the tag archives of a collection page's tags
+function tagLinks(collection, tags = []) {
+    return tags
+        .map(tag => `<a href="${escapeHtml(tagUrl(collection, tag))}" rel="tag">${escapeHtml(tag)}</a>`)
+        .join(', ');
+}
+
+// Pages of a collection rendered one after another with its item template
+async function renderItems(collection, pages, context) {
+    const template = await readTemplate(context, collection.itemTemplate);
+    return pages
+        .map(page => fillPlaceholders(template, {
+            ...page.attributes,
+            pageName: page.pageName,
+            url: page.url,
+            tagLinks: tagLinks(collection, page.attributes.tags),
+        }))
+        .join('\n');
+}
+
+// The placeholders a page gets from its collection: {{ related }}, {{ tagLinks }}, ...
+async function collectionValues(page, collections, context) {
+    const collection = collectionOf(collections, page.pageName);
+    if (!collection) {
+        return {};
+    }
+    const related = collection.related > 0
+        ? await renderItems(collection, relatedPages(collection, page.pageName, page.attributes.tags), context)
+        : '';
+    return {
+        collection: collection.name,
+        collectionTitle: collection.title,
+        collectionUrl: collectionListings(collection)[0].url,
+        tagLinks: tagLinks(collection, page.attributes.tags),
+        related,
+    };
+}
+
+function paginationHtml(listing) {
+    if (listing.pageCount === 1) {
+        return '';
+    }
+    const parts = [];
+    if (listing.previousUrl) {
+        parts.push(`<a href="${escapeHtml(listing.previousUrl)}" rel="prev">Newer</a>`);
+    }
+    parts.push(`<span>Page ${listing.pageNumber} of ${listing.pageCount}</span>`);
+    if (listing.nextUrl) {
+        parts.push(`<a href="${escapeHtml(listing.nextUrl)}" rel="next">Older</a>`);
+    }
+    return `<nav class="pagination">${parts.join(' ')}</nav>`;
+}
+
+// The template and placeholders of a listing page of a collection
+async function listingInputs(listing, collection, context) {
+    return {
+        template: await readTemplate(context, listing.template),
+        values: {
+            title: listing.title,
+            collection: collection.name,
+            collectionTitle: collection.title,
+            collectionUrl: collectionListings(collection)[0].url,
+            tag: listing.tag,
+            url: listing.url,
+            pageNumber: listing.pageNumber,
+            pageCount: listing.pageCount,
+            previousUrl: listing.previousUrl,
+            nextUrl: listing.nextUrl,
+            pagination: paginationHtml(listing),
+            items: await renderItems(collection, listing.pages, context),
+        },
+    };
+}
+
+/**
+ * Write the listing pages of every collection. Like pages, a listing is
+ * only written again when its inputs hash changed, and listings that are
+ * no longer generated (fewer pages, a tag that went away) are removed.
+ */
+async function buildListings(collections, entries, context, { force }) {
+    const listings = [];
+    const removed = [];
+    const outputNames = new Set();
+
+    for (const collection of collections) {
+        for (const listing of collectionListings(collection)) {
+            const { outputName } = listing;
+            const report = { collection: collection.name, tag: listing.tag, pageNumber: listing.pageNumber, outputName };
+            outputNames.add(outputName);
+            try {
+                const { template, values } = await listingInputs(listing, collection, context);
+                const hash = hashInputs([template, JSON.stringify(values), context.sharedInputs]);
+                const outputPath = await resolveDistPath(outputName);
+                const previous = entries[outputName];
+
+                if (!force && previous && previous.hash === hash && await fileExists(outputPath)) {
+                    listings.push({ success: true, status: 'skipped', ...report });
+                    continue;
+                }
+
+                await fs.mkdir(path.dirname(outputPath), { recursive: true });
+                await fs.writeFile(outputPath, fillPlaceholders(template, values));
+                debugLog(`Built listing ${outputPath}`);
+                entries[outputName] = { collection: collection.name, hash };
+                listings.push({ success: true, status: 'built', ...report, outputPath });
+            } catch (error) {
+                debugLog(`Error building listing ${outputName}:`, error.message);
+                entries[outputName] = { collection: collection.name, hash: null };
+                listings.push({ success: false, status: 'failed', ...report, message: error.message, code: describeError(error, 'RENDER_FAILED').code });
+            }
+        }
+    }
+
+    for (const [outputName, entry] of Object.entries(entries)) {
+        if (!outputNames.has(outputName)) {
+            await removeOutput(outputName);
+            delete entries[outputName];
+            removed.push({ collection: entry.collection, outputName });
+        }
+    }
+
+    return { listings, removed };
+}
+
+// Mark a preview of a page that is not live, so it is not taken for the site
+export function withDraftBanner(html, publication) {
+    const banner = '<div class="pinkfrog-draft-banner" style="position:sticky;top:0;z-index:2147483647;'
+        + 'padding:8px 16px;background:#e4007c;color:#fff;font:bold 14px/1.4 system-ui,sans-serif;text-align:center">'
+        + `Preview: this page is ${publication === 'draft' ? 'a draft' : publication} and not on the live site</div>`;
+    return /<body[^>]*>/i.test(html)
+        ? html.replace(/<body[^>]*>/i, match => `${match}\n${banner}`)
+        : `${banner}\n${html}`;
+}
+
+// Render a single page file and write it to its alias path in dist
+async function buildPage(page, context, values) {
+    const { pageName, attributes } = page;
+    const { html, template, components } = await renderPage(page, context, values);
+
+    const outputName = outputNameFor(pageName, attributes);
+    const outputPath = await resolveDistPath(outputName);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, html);
+
+    return {
+        pageName,
+        outputName,
+        outputPath,
+        template,
+        components,
+    };
+}
+
+// The decoration and Markdown renderer pages are rendered with
+async function createRenderContext() {
+    const decoration = await getDecoration();
+    const snippets = await readMarkdownSnippets(decoration);
+    return {
+        decoration,
+        markdown: createMarkdownRenderer(snippets),
+        files: new Map(),
+        sharedInputs: JSON.stringify([
+            Object.entries(snippets).sort(([a], [b]) => a.localeCompare(b)),
+            await loadSettings(),
+        ]),
+    };
+}
+
+/**
+ * Render a page to HTML without writing it to dist: the saved page, or
+ * source (a whole page file with frontmatter, such as unsaved edits).
+ * Drafts and other pages that are not live get a banner saying so.
+ */
+export async function previewPage({ dataSet = 'default', pageName = null, source = null } = {}) {
+    const page = source !== null
+        ? { pageName: pageName || 'preview.md', ...parseFrontmatter(source, pageName) }
+        : await readPage(dataSet, pageName);
+    const context = await createRenderContext();
+    const values = await collectionValues(page, await loadCollectionPages(dataSet), context);
+    const rendered = await renderPage(page, context, values);
+    const publication = publicationStatus(page.attributes);
+
+    return {
+        pageName: page.pageName,
+        dataSet,
+        decoration: context.decoration,
+        outputName: outputNameFor(page.pageName, page.attributes),
+        publication,
+        ...rendered,
+        html: publication === 'published' ? rendered.html : withDraftBanner(rendered.html, publication),
+    };
+}
+
+/**
+ * The bodies of pages (as read by readPage) rendered to HTML without
+ * their templates, by page name, as feeds embed them.
+ */
+export async function renderBodies(pages) {
+    const context = await createRenderContext();
+    const bodies = new Map();
+    for (const page of pages) {
+        const { html } = await renderBody(fillPlaceholders(page.content, page.attributes), context, page.bodyLine);
+        bodies.set(page.pageName, html);
+    }
+    return bodies;
+}
+
+/**
+ * Template and components each page of a dataSet depends on, used to find
+ * the pages a decoration change affects.
+ */
+export async function pageDependencies(dataSet = 'default') {
+    const dependencies = [];
+
+    for (const pageName of await listPageFiles(dataSet)) {
+        try {
+            const { attributes, content } = await readPage(dataSet, pageName);
+            dependencies.push({
+                pageName,
+                template: attributes.template || 'index.html',
+                components: parseComponentBlocks(content).blocks.map(block => block.name),
+            });
+        } catch (error) {
+            // Unreadable pages depend on everything, so any change retries them
+            dependencies.push({ pageName, template: null, components: null });
+        }
+    }
+
+    return dependencies;
+}
+
+/**
+ * Render the pages of a dataSet to dist without involving the LLM. Pages
+ * whose inputs hash matches the build manifest and whose output still
+ * exists are skipped unless force is set; outputs of deleted pages are
+ * removed. Drafts, pages whose publishDate is ahead and expired pages are
+ * not built, and their earlier output is removed, so a build run after
+ * publishDate or expiryDate brings the site up to date. The listing pages
+ * of the collections are written after the pages. only limits the build to
+ * the given page names. Returns a per-page report; a failing page does not
+ * stop the build.
+ */
+export async function buildSite({ dataSet = 'default', only = null, force = false } = {}) {
+    const contentDir = contentDirFor(dataSet);
+    const context = await createRenderContext();
+    const { decoration } = context;
+
+    const allFiles = await listPageFiles(dataSet).catch(error => {
+        if (error instanceof FrontmatterError) {
+            throw error;
+        }
+        throw new CmsError('CONTENT_NOT_FOUND', `Content directory ${contentDir} does not exist`, { dataSet });
+    });
+    const mdFiles = only ? allFiles.filter(file => only.includes(file)) : allFiles;
+
+    return withManifest(async (manifest) => {
+        const entries = manifest.pages[dataSet] = manifest.pages[dataSet] || {};
+        const pages = [];
+        const removed = [];
+        const now = new Date();
+        const collections = await loadCollectionPages(dataSet, now);
+
+        for (const pageName of mdFiles) {
+            const previous = entries[pageName];
+            try {
+                const page = await readPage(dataSet, pageName);
+                const publication = publicationStatus(page.attributes, now);
+                if (publication !== 'published') {
+                    if (previous) {
+                        await removeOutput(previous.outputName);
+                        delete entries[pageName];
+                        removed.push({ pageName, outputName: previous.outputName, publication });
+                    }
+                    pages.push({ success: true, status: 'unpublished', pageName, publication });
+                    continue;
+                }
+
+                const outputName = outputNameFor(pageName, page.attributes);
+                const values = await collectionValues(page, collections, context);
+                const hash = await pageInputsHash(page, context, values).catch(() => null);
+
+                if (!force && hash && previous && previous.hash === hash && previous.outputName === outputName
+                    && await fileExists(await resolveDistPath(outputName))) {
+                    pages.push({ success: true, status: 'skipped', pageName, outputName });
+                    continue;
+                }
+
+                const result = await buildPage(page, context, values);
+                debugLog(`Built ${pageName} -> ${result.outputPath}`);
+                entries[pageName] = { outputName, hash };
+                pages.push({ success: true, status: 'built', ...result });
+
+                if (previous && previous.outputName !== outputName) {
+                    await removeOutput(previous.outputName);
+                    removed.push({ pageName, outputName: previous.outputName });
+                }
+            } catch (error) {
+                debugLog(`Error building ${pageName}:`, error.message);
+                // Forget the hash so the page is retried, but keep its output name for cleanup
+                if (previous) {
+                    entries[pageName] = { outputName: previous.outputName, hash: null };
+                }
+                pages.push({ success: false, status: 'failed', pageName, message: error.message, code: describeError(error, 'RENDER_FAILED').code });
+            }
+        }
+
+        for (const [pageName, entry] of Object.entries(entries)) {
+            if (!allFiles.includes(pageName)) {
+                await removeOutput(entry.outputName);
+                delete entries[pageName];
+                removed.push({ pageName, outputName: entry.outputName });
+            }
+        }
+
+        const listingEntries = manifest.listings[dataSet] = manifest.listings[dataSet] || {};
+        const { listings, removed: removedListings } = await buildListings(collections, listingEntries, context, { force });
+        removed.push(...removedListings);
+
+        const count = status => pages.filter(page => page.status === status).length;
+        const countListings = status => listings.filter(listing => listing.status === status).length;
+        return {
+            dataSet,
+            decoration,
+            contentDir,
+            distDir: DIST_DIR,
+            builtCount: count('built'),
+            skippedCount: count('skipped'),
+            unpublishedCount: count('unpublished'),
+            removedCount: removed.length,
+            failedCount: count('failed') + countListings('failed'),
+            listingsBuiltCount: countListings('built'),
+            listingsSkippedCount: countListings('skipped'),
+            pages,
+            listings,
+            removed,
+        };
+    });
+}
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { STATE_DIR } from './config.js';
+import { CmsError } from './errors.js';
+
+/**
+ * Chat sessions of the web assistant, one JSON file per session in
+ * .pinkfrog/sessions:
+ *
+ *   { id, owner, title, createdAt, updatedAt, messages: [...] }
+ *
+ * messages is the provider neutral history described in lib/llm/index.js.
+ * owner is the user name of the web user who started the session; other
+ * users cannot see it. Sessions without an owner are shared.
+ */
+
+export const SESSIONS_DIR = path.join(STATE_DIR, 'sessions');
+
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const TITLE_LENGTH = 60;
+
+// The session file for id; ids are UUIDs, so they cannot leave SESSIONS_DIR
+function sessionPath(id) {
+    if (typeof id !== 'string' || !SESSION_ID.test(id)) {
+        throw new CmsError('SESSION_NOT_FOUND', `Unknown chat session: ${id}`, { sessionId: id });
+    }
+    return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+function newSession(owner) {
+    const now = new Date().toISOString();
+    return { id: randomUUID(), owner, title: null, createdAt: now, updatedAt: now, messages: [] };
+}
+
+function visibleTo(session, owner) {
+    return !owner || !session.owner || session.owner === owner;
+}
+
+// Load a session; one owned by someone other than owner counts as unknown
+export async function loadSession(id, owner = null) {
+    let session;
+    try {
+        session = JSON.parse(await fs.readFile(sessionPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new CmsError('SESSION_NOT_FOUND', `Unknown chat session: ${id}`, { sessionId: id });
+        }
+        throw error;
+    }
+    if (!visibleTo(session, owner)) {
+        throw new CmsError('SESSION_NOT_FOUND', `Unknown chat session: ${id}`, { sessionId: id });
+    }
+    return session;
+}
+
+async function saveSession(session) {
+    const filePath = sessionPath(session.id);
+    await fs.mkdir(SESSIONS_DIR, { recursive: true });
+    const temporary = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(session, null, 2));
+    await fs.rename(temporary, filePath);
+}
+
+export async function createSession(owner = null) {
+    const session = newSession(owner);
+    await saveSession(session);
+    return session;
+}
+
+// The sessions owner can see without their messages, most recently used first
+export async function listSessions(owner = null) {
+    let names;
+    try {
+        names = await fs.readdir(SESSIONS_DIR);
+    } catch (error) {
+        return [];
+    }
+
+    const sessions = [];
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+        try {
+            const { messages, ...session } = await loadSession(path.basename(name, '.json'), owner);
+            sessions.push({ ...session, messageCount: messages.length });
+        } catch (error) {
+            // Skip files that are not sessions, and sessions of other users
+        }
+    }
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function deleteSession(id) {
+    await fs.rm(sessionPath(id));
+}
+
+const queues = new Map();
+
+/**
+ * Run task(session) for session id of owner, or for a new session when id
+ * is empty, and save the session afterwards. Tasks on one session are queued so two
+ * prompts cannot interleave their messages. If task throws, the session is
+ * left as it was. Resolves to { session, result }.
+ */
+export function withSession(id, owner, task) {
+    const key = id || randomUUID();
+    const previous = queues.get(key) || Promise.resolve();
+
+    const run = previous.then(async () => {
+        const session = id ? await loadSession(id, owner) : newSession(owner);
+        const result = await task(session);
+        session.title = session.title || titleFor(session.messages);
+        session.updatedAt = new Date().toISOString();
+        await saveSession(session);
+        return { session, result };
+    });
+
+    const settled = run.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+        if (queues.get(key) === settled) {
+            queues.delete(key);
+        }
+    });
+    return run;
+}
+
+// Clear the history of a session, keeping its id
+export function resetSession(id, owner = null) {
+    return withSession(id, owner, session => {
+        session.messages = [];
+        session.title = null;
+    }).then(({ session }) => session);
+}
+
+function titleFor(messages) {
+    const first = messages.find(message => message.role === 'user');
+    if (!first) {
+        return null;
+    }
+    const text = first.text.replace(/\s+/g, ' ').trim();
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+}
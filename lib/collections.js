@@ -0,0 +1,148 @@
+import path from 'path';
+import { debugLog } from './log.js';
+import { loadCollections, collectionPageFiles, readPage, outputNameFor, publicationStatus } from './content.js';
+
+/**
+ * Collections are groups of pages declared in settings.yml (see
+ * loadCollections), such as blog posts, newest first by their date. Each
+ * collection gets generated listing pages in dist:
+ *
+ *   <path>/index.html, <path>/page/<n>.html                  every page
+ *   <path>/tags/<tag>/index.html, <path>/tags/<tag>/page/<n>.html  pages with a tag
+ *
+ * Only published pages are listed.
+ */
+
+// A tag as a URL segment: "Node.js Tips" becomes "node-js-tips"
+export function tagSlug(tag) {
+    return String(tag).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// The site URL of a dist file; index.html stands for its folder
+export function urlFor(outputName) {
+    return `/${outputName.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+function newestFirst(a, b) {
+    const aTime = a.attributes.date instanceof Date ? a.attributes.date.getTime() : -Infinity;
+    const bTime = b.attributes.date instanceof Date ? b.attributes.date.getTime() : -Infinity;
+    return bTime - aTime || a.pageName.localeCompare(b.pageName);
+}
+
+/**
+ * The collections with their published pages, newest first by date; pages
+ * without a date come last. Pages that cannot be read are left out.
+ */
+export async function loadCollectionPages(dataSet = 'default', now = new Date()) {
+    const collections = [];
+    for (const collection of await loadCollections()) {
+        const pages = [];
+        for (const pageName of await collectionPageFiles(dataSet, collection)) {
+            try {
+                const { attributes } = await readPage(dataSet, pageName);
+                if (publicationStatus(attributes, now) === 'published') {
+                    const outputName = outputNameFor(pageName, attributes);
+                    pages.push({ pageName, attributes, outputName, url: urlFor(outputName) });
+                }
+            } catch (error) {
+                debugLog(`Leaving ${pageName} out of collection ${collection.name}: ${error.message}`);
+            }
+        }
+        collections.push({ ...collection, pages: pages.sort(newestFirst) });
+    }
+    return collections;
+}
+
+// The collection whose source pageName matches, listed or not, or null
+export function collectionOf(collections, pageName) {
+    return collections.find(collection => {
+        const folder = path.posix.dirname(pageName);
+        return (folder === '.' ? '' : folder) === collection.folder && collection.pattern.test(path.posix.basename(pageName));
+    }) || null;
+}
+
+/**
+ * The other pages of the collection that share the most of tags (the tags
+ * of pageName), newest first among equals, at most collection.related.
+ */
+export function relatedPages(collection, pageName, pageTags = []) {
+    const tags = new Set(pageTags.map(tagSlug));
+
+    return collection.pages
+        .filter(candidate => candidate.pageName !== pageName)
+        .map(candidate => ({
+            page: candidate,
+            shared: (candidate.attributes.tags || []).filter(tag => tags.has(tagSlug(tag))).length,
+        }))
+        .filter(({ shared }) => shared > 0)
+        .sort((a, b) => b.shared - a.shared || newestFirst(a.page, b.page))
+        .slice(0, collection.related)
+        .map(({ page: related }) => related);
+}
+
+// The pages of one listing split into pages of perPage, under folder
+function paginate(collection, pages, folder, { tag = null, title, template }) {
+    const pageCount = Math.max(1, Math.ceil(pages.length / collection.perPage));
+    const outputNameOf = number => (number === 1 ? path.posix.join(folder, 'index.html') : path.posix.join(folder, 'page', `${number}.html`));
+
+    return Array.from({ length: pageCount }, (unused, index) => {
+        const pageNumber = index + 1;
+        const outputName = outputNameOf(pageNumber);
+        return {
+            outputName,
+            url: urlFor(outputName),
+            collection: collection.name,
+            tag,
+            title,
+            template,
+            pageNumber,
+            pageCount,
+            pages: pages.slice(index * collection.perPage, pageNumber * collection.perPage),
+            previousUrl: pageNumber > 1 ? urlFor(outputNameOf(pageNumber - 1)) : null,
+            nextUrl: pageNumber < pageCount ? urlFor(outputNameOf(pageNumber + 1)) : null,
+        };
+    });
+}
+
+/**
+ * The listing pages of a collection: its index, then an archive per tag in
+ * tag order. Tags that differ only in case or punctuation share an archive.
+ */
+export function collectionListings(collection) {
+    const listings = paginate(collection, collection.pages, collection.path, {
+        title: collection.title,
+        template: collection.template,
+    });
+
+    const tags = new Map();
+    for (const page of collection.pages) {
+        for (const tag of page.attributes.tags || []) {
+            const slug = tagSlug(tag);
+            if (!slug) {
+                continue;
+            }
+            if (!tags.has(slug)) {
+                tags.set(slug, { tag: String(tag), pages: [] });
+            }
+            const archive = tags.get(slug);
+            if (!archive.pages.includes(page)) {
+                archive.pages.push(page);
+            }
+        }
+    }
+
+    for (const [slug, { tag, pages }] of [...tags].sort(([a], [b]) => a.localeCompare(b))) {
+        listings.push(...paginate(collection, pages, path.posix.join(collection.path, 'tags', slug), {
+            tag,
+            title: `${collection.title}: ${tag}`,
+            template: collection.tagTemplate,
+        }));
+    }
+    return listings;
+}
+
+// The URL of the archive of tag in collection
+export function tagUrl(collection, tag) {
+    return urlFor(path.posix.join(collection.path, 'tags', tagSlug(tag), 'index.html'));
+}
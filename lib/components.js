@@ -0,0 +1,308 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { resolveDecorationPath, safeSegment } from './paths.js';
+import { PLACEHOLDER, escapeHtml } from './template.js';
+import { CmsError } from './errors.js';
+
+/**
+ * Component blocks in page content look like:
+ *
+ *   <!--
+ *   component: home-hero
+ *   -->
+ *   ...Markdown...
+ *   <!--
+ *   ;
+ *   -->
+ *
+ * Each component may declare its fields in components/<name>/schema.yml:
+ *
+ *   fields:
+ *     title:
+ *       from: h1          # h1..h6, heading, paragraph, list, image, link,
+ *                         # code, blockquote, table or content
+ *       index: 1          # 1-based position among blocks of that kind
+ *       attribute: src    # image (src, alt, title) or link (href, text, title)
+ *       required: true
+ *
+ * A "content" field receives every block no other field consumed.
+ */
+
+const COMPONENT_OPEN = /<!--\s*component:\s*([\w-]+)\s*-->/;
+const COMPONENT_CLOSE = /<!--\s*;\s*-->/;
+const COMPONENT_MARKER = /<!--\s*(?:component:\s*([\w-]+)|;)\s*-->/g;
+
+const SELECTORS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'heading', 'paragraph', 'list', 'image', 'link', 'code', 'blockquote', 'table', 'content'];
+
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Find the component blocks of a Markdown body. Returns the blocks with
+ * their offsets and line numbers, plus errors for unbalanced markers.
+ */
+export function parseComponentBlocks(markdown) {
+    const blocks = [];
+    const errors = [];
+    let open = null;
+
+    for (const match of markdown.matchAll(COMPONENT_MARKER)) {
+        const line = lineAt(markdown, match.index);
+
+        if (COMPONENT_OPEN.test(match[0])) {
+            if (open) {
+                errors.push({ line: open.line, message: `Component "${open.name}" is not closed before the next component starts` });
+            }
+            open = { name: match[1], start: match.index, bodyStart: match.index + match[0].length, line };
+        } else if (COMPONENT_CLOSE.test(match[0])) {
+            if (!open) {
+                errors.push({ line, message: 'Closing component marker without an opening one' });
+                continue;
+            }
+            const body = markdown.slice(open.bodyStart, match.index);
+            blocks.push({
+                name: open.name,
+                start: open.start,
+                end: match.index + match[0].length,
+                line: open.line,
+                bodyLine: lineAt(markdown, open.bodyStart),
+                body,
+            });
+            open = null;
+        }
+    }
+
+    if (open) {
+        errors.push({ line: open.line, message: `Component "${open.name}" is never closed` });
+    }
+
+    return { blocks, errors };
+}
+
+// Load components/<name>/schema.yml, or null when the component has none
+export async function readComponentSchema(decoration, name) {
+    const schemaPath = await resolveDecorationPath(decoration, 'components', path.join(safeSegment(name, 'component'), 'schema.yml'));
+    let source;
+
+    try {
+        source = await fs.readFile(schemaPath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+
+    const schema = yaml.load(source) || {};
+    const fields = schema.fields || {};
+    for (const [field, definition] of Object.entries(fields)) {
+        if (!definition || !SELECTORS.includes(definition.from)) {
+            throw new Error(`Invalid schema ${schemaPath}: field "${field}" needs "from" set to one of ${SELECTORS.join(', ')}`);
+        }
+    }
+
+    return { path: schemaPath, fields };
+}
+
+// Placeholder names of a component template in order of first appearance
+export function templateFields(template) {
+    const fields = [];
+    for (const [, key] of template.matchAll(PLACEHOLDER)) {
+        if (key !== 'content' && !fields.includes(key)) {
+            fields.push(key);
+        }
+    }
+    return fields;
+}
+
+// Inline tokens of the given type inside a block, depth first
+function findInline(tokens, type, found = []) {
+    for (const token of tokens || []) {
+        if (token.type === type) {
+            found.push(token);
+        }
+        findInline(token.tokens, type, found);
+        if (token.items) {
+            token.items.forEach(item => findInline(item.tokens, type, found));
+        }
+    }
+    return found;
+}
+
+function isImageOnly(block) {
+    return block.type === 'paragraph'
+        && block.token.tokens.every(token => token.type === 'image' || (token.type === 'text' && !token.text.trim()));
+}
+
+function matchesSelector(block, from) {
+    switch (from) {
+        case 'heading':
+            return block.type === 'heading';
+        case 'paragraph':
+            return block.type === 'paragraph' && !isImageOnly(block);
+        case 'list':
+        case 'code':
+        case 'blockquote':
+        case 'table':
+            return block.type === from;
+        default:
+            return block.tag === from;
+    }
+}
+
+function inlineAttribute(token, from, attribute) {
+    if (from === 'image') {
+        return { src: token.href, alt: token.text, title: token.title || '' }[attribute || 'src'];
+    }
+    return { href: token.href, text: token.text, title: token.title || '' }[attribute || 'href'];
+}
+
+/**
+ * Map the blocks of a component body to the fields of its schema.
+ * Returns the field values (for the template), where each came from, and
+ * the required fields that are missing and blocks that no field used.
+ */
+export function extractFields(blocks, schema) {
+    const values = {};
+    const fields = {};
+    const missing = [];
+    const consumed = new Set();
+    let contentField = null;
+
+    for (const [field, definition] of Object.entries(schema.fields)) {
+        const { from, index = 1, attribute, required = false } = definition;
+
+        if (from === 'content') {
+            contentField = field;
+            continue;
+        }
+
+        let value;
+        let block;
+        if (from === 'image' || from === 'link') {
+            const matches = blocks.flatMap(candidate => findInline([candidate.token], from)
+                .map(token => ({ token, block: candidate })));
+            const match = matches[index - 1];
+            if (match) {
+                value = escapeHtml(inlineAttribute(match.token, from, attribute));
+                block = match.block;
+            }
+        } else {
+            block = blocks.filter(candidate => matchesSelector(candidate, from))[index - 1];
+            if (block) {
+                value = ['heading', 'paragraph'].includes(block.type) ? block.inner : block.html;
+                if (from === 'code') {
+                    value = escapeHtml(block.token.text);
+                }
+            }
+        }
+
+        if (block) {
+            values[field] = value;
+            fields[field] = { from, line: block.line };
+            consumed.add(block);
+        } else {
+            values[field] = '';
+            if (required) {
+                missing.push({ field, from, index, message: `Required field "${field}" (${from} #${index}) not found` });
+            }
+        }
+    }
+
+    const rest = blocks.filter(block => !consumed.has(block));
+    if (contentField) {
+        values[contentField] = rest.map(block => block.html).join('\n');
+        fields[contentField] = { from: 'content', line: rest.length > 0 ? rest[0].line : null };
+    }
+
+    const extra = contentField
+        ? []
+        : rest.map(block => ({ line: block.line, type: block.tag, message: `Block "${block.tag}" is not used by any field` }));
+
+    return { values, fields, missing, extra };
+}
+
+/**
+ * Fallback mapping for components without a schema: placeholders are
+ * filled, in the order they first appear in the template, by the blocks of
+ * the component body.
+ */
+export function positionalFields(blocks, template) {
+    const values = {};
+    templateFields(template).forEach((field, index) => {
+        values[field] = blocks[index] ? blocks[index].inner : '';
+    });
+    return values;
+}
+
+// Read components/<name>/template.html
+export async function readComponentTemplate(decoration, name) {
+    const templatePath = await resolveDecorationPath(decoration, 'components', path.join(safeSegment(name, 'component'), 'template.html'));
+    return fs.readFile(templatePath, 'utf8').catch(() => {
+        throw new CmsError('COMPONENT_NOT_FOUND', `Component "${name}" not found at ${templatePath}`, { component: name });
+    });
+}
+
+/**
+ * Check every component block of a page body against its schema.
+ * Line numbers are shifted by firstLine so they point into the page file.
+ */
+export async function validateComponents(markdown, { decoration, renderer, firstLine = 1 }) {
+    const { blocks, errors } = parseComponentBlocks(markdown);
+    const toPageLine = line => line + firstLine - 1;
+    const components = [];
+
+    for (const block of blocks) {
+        const report = {
+            component: block.name,
+            line: toPageLine(block.line),
+            hasSchema: false,
+            fields: {},
+            missing: [],
+            extra: [],
+            errors: [],
+            warnings: [],
+        };
+        components.push(report);
+
+        let template;
+        let schema;
+        try {
+            template = await readComponentTemplate(decoration, block.name);
+            schema = await readComponentSchema(decoration, block.name);
+        } catch (error) {
+            report.errors.push({ line: report.line, message: error.message });
+            continue;
+        }
+
+        if (!schema) {
+            report.warnings.push({ line: report.line, message: `Component "${block.name}" has no schema.yml; fields are mapped by position` });
+            continue;
+        }
+        report.hasSchema = true;
+
+        const bodyBlocks = renderer.renderBlocks(block.body)
+            .map(bodyBlock => ({ ...bodyBlock, line: toPageLine(block.bodyLine + bodyBlock.line - 1) }));
+        const result = extractFields(bodyBlocks, schema);
+
+        report.fields = result.fields;
+        report.missing = result.missing.map(missing => ({ ...missing, line: report.line }));
+        report.extra = result.extra;
+        for (const field of templateFields(template)) {
+            if (!schema.fields[field]) {
+                report.warnings.push({ line: report.line, message: `Template placeholder "${field}" is not declared in schema.yml` });
+            }
+        }
+    }
+
+    return {
+        components,
+        errors: errors.map(error => ({ ...error, line: toPageLine(error.line) })),
+    };
+}
+
+// Names of the components of a decoration
+export async function listComponents(decoration) {
+    const componentsDir = await resolveDecorationPath(decoration, 'components');
+    const entries = await fs.readdir(componentsDir, { withFileTypes: true }).catch(() => []);
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+}
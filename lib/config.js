@@ -0,0 +1,8 @@
+import path from 'path';
+
+// Configuration shared by the MCP server and its helper modules
+export const CMS_DIR = process.env.CMS_DIR || process.cwd();
+export const PAGES_DIR = path.join(CMS_DIR, 'src');
+export const DIST_DIR = path.join(CMS_DIR, 'dist');
+export const PLUGINS_DIR = path.join(CMS_DIR, 'plugins');
+export const STATE_DIR = path.join(CMS_DIR, '.pinkfrog');
@@ -0,0 +1,289 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { PAGES_DIR } from './config.js';
+import { debugLog } from './log.js';
+import { contentDirPath, resolveContentDir, resolveContentPath } from './paths.js';
+
+// Shared loading of settings.yml and page files for every tool
+
+const DEFAULT_SETTINGS = {
+    decoration: 'light',
+    content: 'default',
+};
+
+// Attributes that are always converted to a given type
+const LIST_FIELDS = ['tags'];
+const DATE_FIELDS = ['date', 'updated', 'publishDate', 'expiryDate'];
+const BOOLEAN_FIELDS = ['draft'];
+
+export class FrontmatterError extends Error {
+    constructor(message, { file = null, line = null } = {}) {
+        super(line ? `${file ? `${file}:` : ''}${line}: ${message}` : message);
+        this.name = 'FrontmatterError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+function normalizeNewlines(text) {
+    return text.replace(/\r\n?/g, '\n');
+}
+
+// Parse a YAML document, turning parser errors into FrontmatterError with a
+// line number relative to the file (firstLine is where the YAML starts)
+function parseYaml(source, { file, firstLine = 1 }) {
+    try {
+        return yaml.load(source, { filename: file }) ?? {};
+    } catch (error) {
+        const line = error.mark ? error.mark.line + firstLine : null;
+        throw new FrontmatterError(error.reason || error.message, { file, line });
+    }
+}
+
+/**
+ * Load src/settings.yml merged over the defaults. A missing file yields the
+ * defaults; a malformed one throws.
+ */
+export async function loadSettings() {
+    const settingsPath = path.join(PAGES_DIR, 'settings.yml');
+    let source;
+
+    try {
+        source = await fs.readFile(settingsPath, 'utf8');
+    } catch (error) {
+        debugLog('Error reading settings.yml:', error.message);
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    const settings = parseYaml(normalizeNewlines(source), { file: 'settings.yml' });
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new FrontmatterError('settings.yml must be a map of settings', { file: 'settings.yml', line: 1 });
+    }
+
+    return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+// The decoration name from settings.yml (defaults to "light")
+export async function getDecoration() {
+    return String((await loadSettings()).decoration);
+}
+
+// Convert well-known attributes to their types
+function normalizeAttributes(attributes, file) {
+    const result = { ...attributes };
+
+    for (const field of LIST_FIELDS) {
+        if (typeof result[field] === 'string') {
+            result[field] = result[field].split(',').map(item => item.trim()).filter(Boolean);
+        } else if (result[field] !== undefined && result[field] !== null && !Array.isArray(result[field])) {
+            result[field] = [result[field]];
+        }
+    }
+
+    for (const field of DATE_FIELDS) {
+        if (result[field] !== undefined && result[field] !== null && !(result[field] instanceof Date)) {
+            const date = new Date(result[field]);
+            if (Number.isNaN(date.getTime())) {
+                throw new FrontmatterError(`"${field}" is not a valid date: ${result[field]}`, { file });
+            }
+            result[field] = date;
+        }
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+        if (typeof result[field] === 'string') {
+            const value = result[field].trim().toLowerCase();
+            if (!['true', 'false', 'yes', 'no'].includes(value)) {
+                throw new FrontmatterError(`"${field}" must be true or false, got: ${result[field]}`, { file });
+            }
+            result[field] = value === 'true' || value === 'yes';
+        } else if (result[field] !== undefined && result[field] !== null && typeof result[field] !== 'boolean') {
+            throw new FrontmatterError(`"${field}" must be true or false, got: ${result[field]}`, { file });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Split a page source into its frontmatter YAML (null when it has none)
+ * and the body after it. text is source with its newlines normalized.
+ */
+export function splitFrontmatter(source, file = null) {
+    const text = normalizeNewlines(source);
+    const match = text.match(/^---[ \t]*\n([\s\S]*?)\n?---[ \t]*(?:\n|$)/);
+
+    if (!match) {
+        if (/^---[ \t]*\n/.test(text)) {
+            throw new FrontmatterError('Frontmatter is not closed with "---"', { file, line: 1 });
+        }
+        return { text, frontmatter: null, body: text, bodyStart: 0 };
+    }
+    return { text, frontmatter: match[1], body: text.slice(match[0].length), bodyStart: match[0].length };
+}
+
+/**
+ * The frontmatter attributes of a page as written, without the type
+ * conversions of parseFrontmatter.
+ */
+export function parseRawFrontmatter(frontmatter, file = null) {
+    if (frontmatter === null) {
+        return {};
+    }
+    const attributes = parseYaml(frontmatter, { file, firstLine: 2 });
+    if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+        throw new FrontmatterError('Frontmatter must be a map of attributes', { file, line: 2 });
+    }
+    return attributes;
+}
+
+/**
+ * Split a page into typed frontmatter attributes and its Markdown body.
+ * bodyLine is the line of the file where the (trimmed) body starts.
+ */
+export function parseFrontmatter(source, file = null) {
+    const { text, frontmatter, body, bodyStart } = splitFrontmatter(source, file);
+    const attributes = parseRawFrontmatter(frontmatter, file);
+    const leading = bodyStart + body.length - body.trimStart().length;
+
+    return {
+        attributes: normalizeAttributes(attributes, file),
+        content: body.trim(),
+        bodyLine: text.slice(0, leading).split('\n').length,
+    };
+}
+
+export function contentDirFor(dataSet = 'default') {
+    return contentDirPath(dataSet);
+}
+
+const COLLECTION_SOURCE = /^(?:([\w.-]+(?:\/[\w.-]+)*)\/)?([\w.*-]*\*[\w.*-]*\.md)$/;
+
+function collectionError(name, message) {
+    return new FrontmatterError(`Collection "${name}": ${message}`, { file: 'settings.yml' });
+}
+
+function wholeNumber(value, name, key, { fallback, min }) {
+    if (value === undefined) {
+        return fallback;
+    }
+    if (!Number.isInteger(value) || value < min) {
+        throw collectionError(name, `${key} must be a whole number of at least ${min}, got: ${value}`);
+    }
+    return value;
+}
+
+/**
+ * The collections declared in settings.yml, with their defaults:
+ *
+ *   collections:
+ *     posts:
+ *       source: posts/*.md            # pages of the collection, in src/content/<dataSet>
+ *       path: blog                    # where the listing pages go in dist (default: the name)
+ *       title: Blog                   # title of the listing pages (default: the name)
+ *       perPage: 10                   # posts per listing page
+ *       template: list.html           # listing page template
+ *       tagTemplate: list.html        # tag archive template (default: template)
+ *       itemTemplate: list-item.html  # one post in a listing or related list
+ *       related: 3                    # related posts per post, 0 for none
+ *
+ * source is a folder and a file name pattern where * matches any characters.
+ */
+export async function loadCollections() {
+    const { collections = {} } = await loadSettings();
+    if (typeof collections !== 'object' || collections === null || Array.isArray(collections)) {
+        throw new FrontmatterError('collections must be a map of collection names to settings', { file: 'settings.yml' });
+    }
+
+    return Object.entries(collections).map(([name, config]) => {
+        if (!/^[\w-]+$/.test(name)) {
+            throw collectionError(name, 'names are letters, digits, "_" and "-"');
+        }
+        const { source, path: outputPath = name, title = name, perPage, related, ...templates } = config ?? {};
+        const match = typeof source === 'string' ? COLLECTION_SOURCE.exec(source) : null;
+        if (!match || (match[1] || '').split('/').includes('..')) {
+            throw collectionError(name, `source must be a folder and file pattern such as posts/*.md, got: ${source}`);
+        }
+        if (typeof outputPath !== 'string' || !/^[\w.-]+(?:\/[\w.-]+)*$/.test(outputPath) || outputPath.split('/').includes('..')) {
+            throw collectionError(name, `path must be a relative folder such as blog, got: ${outputPath}`);
+        }
+        const template = String(templates.template || 'list.html');
+
+        return {
+            name,
+            source,
+            folder: match[1] || '',
+            pattern: new RegExp(`^${match[2].split('*').map(part => part.replace(/[.]/g, '\\.')).join('[^/]*')}$`),
+            path: outputPath,
+            title: String(title),
+            perPage: wholeNumber(perPage, name, 'perPage', { fallback: 10, min: 1 }),
+            template,
+            tagTemplate: String(templates.tagTemplate || template),
+            itemTemplate: String(templates.itemTemplate || 'list-item.html'),
+            related: wholeNumber(related, name, 'related', { fallback: 3, min: 0 }),
+        };
+    });
+}
+
+// The page names of a collection: <folder>/<file>.md, in name order
+export async function collectionPageFiles(dataSet, collection) {
+    let files;
+    try {
+        files = await fs.readdir(await resolveContentPath(dataSet, collection.folder || '.'));
+    } catch (error) {
+        return [];
+    }
+    return files
+        .filter(file => collection.pattern.test(file))
+        .sort()
+        .map(file => (collection.folder ? `${collection.folder}/${file}` : file));
+}
+
+/**
+ * Markdown files of a dataSet, followed by the pages of its collections
+ * in subfolders; throws when the directory does not exist
+ */
+export async function listPageFiles(dataSet = 'default') {
+    const files = (await fs.readdir(await resolveContentDir(dataSet))).filter(file => file.endsWith('.md'));
+    for (const collection of await loadCollections()) {
+        for (const pageName of await collectionPageFiles(dataSet, collection)) {
+            if (!files.includes(pageName)) {
+                files.push(pageName);
+            }
+        }
+    }
+    return files;
+}
+
+// Read and parse a page of a dataSet
+export async function readPage(dataSet, pageName) {
+    const filePath = await resolveContentPath(dataSet, pageName);
+    const rawContent = await fs.readFile(filePath, 'utf8');
+    const page = parseFrontmatter(rawContent, pageName);
+
+    return { pageName, dataSet, filePath, rawContent, ...page };
+}
+
+// The dist file name of a page: its alias, or the page name with .html
+export function outputNameFor(pageName, attributes) {
+    return attributes.alias ? String(attributes.alias) : pageName.replace(/\.md$/, '.html');
+}
+
+/**
+ * Whether a page is live at now: 'draft' (draft: true), 'scheduled'
+ * (publishDate still ahead), 'expired' (expiryDate passed) or 'published'.
+ * Only published pages are built and listed in the sitemap.
+ */
+export function publicationStatus(attributes, now = new Date()) {
+    if (attributes.draft === true) {
+        return 'draft';
+    }
+    if (attributes.publishDate instanceof Date && attributes.publishDate > now) {
+        return 'scheduled';
+    }
+    if (attributes.expiryDate instanceof Date && attributes.expiryDate <= now) {
+        return 'expired';
+    }
+    return 'published';
+}
@@ -0,0 +1,129 @@
+// Line diffs of page bodies and attribute diffs of frontmatter
+
+const CONTEXT_LINES = 3;
+// Larger differences are shown as all lines removed and added instead of searched for common lines
+const MAX_TABLE_CELLS = 4_000_000;
+
+function splitLines(text) {
+    if (text === '') {
+        return [];
+    }
+    const lines = text.split('\n');
+    return text.endsWith('\n') ? lines.slice(0, -1) : lines;
+}
+
+// An edit script turning a into b: [{ type: ' ' | '-' | '+', line }]
+function diffOps(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+    const n = endA - start;
+    const m = endB - start;
+
+    if (n * m > MAX_TABLE_CELLS) {
+        ops.push(...a.slice(start, endA).map(line => ({ type: '-', line })));
+        ops.push(...b.slice(start, endB).map(line => ({ type: '+', line })));
+    } else {
+        // lengths[i][j]: longest common subsequence of a[start + i..] and b[start + j..]
+        const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i][j] = a[start + i] === b[start + j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push({ type: ' ', line: a[start + i] });
+                i++;
+                j++;
+            } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                ops.push({ type: '-', line: a[start + i] });
+                i++;
+            } else {
+                ops.push({ type: '+', line: b[start + j] });
+                j++;
+            }
+        }
+    }
+
+    ops.push(...a.slice(endA).map(line => ({ type: ' ', line })));
+    return ops;
+}
+
+function hunkRange(start, count) {
+    return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * A unified diff from before to after with three lines of context, or an
+ * empty string when both texts are equal.
+ */
+export function unifiedDiff(before, after, { fromLabel = 'before', toLabel = 'after' } = {}) {
+    const ops = diffOps(splitLines(before), splitLines(after));
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        oldLine += op.type === '+' ? 0 : 1;
+        newLine += op.type === '-' ? 0 : 1;
+    }
+
+    // Ranges of ops around the changes, merged where their context touches
+    const ranges = [];
+    ops.forEach((op, index) => {
+        if (op.type === ' ') {
+            return;
+        }
+        const from = Math.max(0, index - CONTEXT_LINES);
+        const to = Math.min(ops.length - 1, index + CONTEXT_LINES);
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = to;
+        } else {
+            ranges.push({ from, to });
+        }
+    });
+    if (ranges.length === 0) {
+        return '';
+    }
+
+    const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    for (const { from, to } of ranges) {
+        const hunk = ops.slice(from, to + 1);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        lines.push(`@@ -${hunkRange(hunk[0].oldLine, oldCount)} +${hunkRange(hunk[0].newLine, newCount)} @@`);
+        lines.push(...hunk.map(op => `${op.type}${op.line}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// The frontmatter attributes that differ: [{ key, change: 'added' | 'removed' | 'changed', before, after }]
+export function diffAttributes(before, after) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    const changes = [];
+    for (const key of keys) {
+        if (!(key in after)) {
+            changes.push({ key, change: 'removed', before: before[key], after: null });
+        } else if (!(key in before)) {
+            changes.push({ key, change: 'added', before: null, after: after[key] });
+        } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            changes.push({ key, change: 'changed', before: before[key], after: after[key] });
+        }
+    }
+    return changes;
+}
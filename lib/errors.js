@@ -0,0 +1,50 @@
+import { PathError } from './paths.js';
+import { FrontmatterError } from './content.js';
+
+/**
+ * An operation failure with a machine readable code, such as
+ * PAGE_EXISTS or PATCH_NOT_MATCHED. details are added to the error
+ * payload returned to MCP clients.
+ */
+export class CmsError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'CmsError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Node file system error codes and what they mean to a client
+const FS_CODES = {
+    ENOENT: 'NOT_FOUND',
+    EEXIST: 'ALREADY_EXISTS',
+    EACCES: 'PERMISSION_DENIED',
+    EPERM: 'PERMISSION_DENIED',
+    EISDIR: 'IS_DIRECTORY',
+    ENOTDIR: 'NOT_A_DIRECTORY',
+    EADDRINUSE: 'PORT_IN_USE',
+};
+
+/**
+ * The { code, message, ... } payload describing any error thrown by a
+ * tool. Unknown errors get fallbackCode.
+ */
+export function describeError(error, fallbackCode = 'TOOL_FAILED') {
+    if (error instanceof CmsError) {
+        return { code: error.code, message: error.message, ...error.details };
+    }
+    if (error instanceof PathError) {
+        return error.toJSON();
+    }
+    if (error instanceof FrontmatterError) {
+        return { code: 'INVALID_FRONTMATTER', message: error.message, file: error.file, line: error.line };
+    }
+    if (error && FS_CODES[error.code]) {
+        return { code: FS_CODES[error.code], message: error.message };
+    }
+    if (error && typeof error.code === 'string' && /^[A-Z][A-Z0-9_]*$/.test(error.code)) {
+        return { code: error.code, message: error.message };
+    }
+    return { code: fallbackCode, message: error ? error.message : String(error) };
+}
@@ -0,0 +1,242 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { debugLog } from './log.js';
+import { loadSettings, loadCollections, listPageFiles, readPage, outputNameFor, publicationStatus, FrontmatterError } from './content.js';
+import { loadCollectionPages, urlFor } from './collections.js';
+import { renderBodies } from './build.js';
+import { resolveDistPath } from './paths.js';
+import { escapeXml } from './template.js';
+import { siteBaseUrl, siteUrl } from './urls.js';
+import { CmsError } from './errors.js';
+
+/**
+ * RSS 2.0, Atom and JSON Feed files for the dated pages of a dataSet, or
+ * of one collection. Entries carry the page's title, date, updated,
+ * description, author and tags and its rendered body, with links made absolute under
+ * the site's baseUrl.
+ *
+ * The feeds of a dataSet go to the root of dist, those of a collection
+ * next to its listing pages (blog/feed.xml, blog/atom.xml, blog/feed.json).
+ */
+
+export const FEED_FILES = { rss: 'feed.xml', atom: 'atom.xml', json: 'feed.json' };
+
+async function findCollection(name) {
+    const collection = (await loadCollections()).find(candidate => candidate.name === name);
+    if (!collection) {
+        throw new CmsError('COLLECTION_NOT_FOUND', `settings.yml has no collection "${name}"`, { collection: name });
+    }
+    return collection;
+}
+
+function outputNamesIn(folder) {
+    return Object.fromEntries(Object.entries(FEED_FILES).map(([format, fileName]) => [format, path.posix.join(folder, fileName)]));
+}
+
+// The dist file names the feeds of collectionName (or of the whole dataSet) are written to
+export async function feedOutputNames(collectionName = null) {
+    return outputNamesIn(collectionName ? (await findCollection(collectionName)).path : '');
+}
+
+/**
+ * Make the href and src attributes of html absolute: site paths (/media/a.png)
+ * resolve under baseUrl, other relative links against pageUrl. Fragments,
+ * protocol-relative and absolute URLs are kept.
+ */
+function absoluteLinks(html, pageUrl, baseUrl) {
+    return html.replace(/\b(href|src)=(["'])(.*?)\2/gi, (match, attribute, quote, url) => {
+        if (url === '' || /^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i.test(url)) {
+            return match;
+        }
+        try {
+            const absolute = url.startsWith('/') ? siteUrl(url, baseUrl) : new URL(url, pageUrl).href;
+            return `${attribute}=${quote}${absolute}${quote}`;
+        } catch (error) {
+            return match;
+        }
+    });
+}
+
+// An author attribute as a name: a string, or a map with a name
+function authorName(author) {
+    if (typeof author === 'string' && author.trim()) {
+        return author.trim();
+    }
+    return author && typeof author === 'object' && author.name ? String(author.name) : null;
+}
+
+// The published pages with a date, newest first, as { page, url }
+async function feedPages(dataSet, collectionName, now) {
+    let entries;
+    if (collectionName) {
+        const collection = (await loadCollectionPages(dataSet, now)).find(candidate => candidate.name === collectionName);
+        entries = collection.pages.map(({ pageName, url }) => ({ pageName, url }));
+    } else {
+        const pageNames = await listPageFiles(dataSet).catch(error => {
+            if (error instanceof FrontmatterError) {
+                throw error;
+            }
+            throw new CmsError('CONTENT_NOT_FOUND', `Error reading pages directory: ${error.message}`, { dataSet });
+        });
+        entries = pageNames.map(pageName => ({ pageName, url: null }));
+    }
+
+    const pages = [];
+    for (const entry of entries) {
+        try {
+            const page = await readPage(dataSet, entry.pageName);
+            if (page.attributes.date instanceof Date && publicationStatus(page.attributes, now) === 'published') {
+                pages.push({ page, url: entry.url || urlFor(outputNameFor(page.pageName, page.attributes)) });
+            }
+        } catch (error) {
+            debugLog(`Leaving ${entry.pageName} out of the feeds: ${error.message}`);
+        }
+    }
+    return pages.sort((a, b) => b.page.attributes.date - a.page.attributes.date);
+}
+
+function rssXml(feed) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.homeUrl)}</link>`,
+        `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+        `    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>`,
+        `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ];
+    for (const item of feed.items) {
+        lines.push(
+            '    <item>',
+            `      <title>${escapeXml(item.title)}</title>`,
+            `      <link>${escapeXml(item.url)}</link>`,
+            `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+            `      <pubDate>${item.date.toUTCString()}</pubDate>`,
+            ...(item.author ? [`      <dc:creator>${escapeXml(item.author)}</dc:creator>`] : []),
+            ...item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+            ...(item.description ? [`      <description>${escapeXml(item.description)}</description>`] : []),
+            `      <content:encoded>${escapeXml(item.html)}</content:encoded>`,
+            '    </item>',
+        );
+    }
+    lines.push('  </channel>', '</rss>');
+    return `${lines.join('\n')}\n`;
+}
+
+function atomXml(feed) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeXml(feed.title)}</title>`,
+        ...(feed.description ? [`  <subtitle>${escapeXml(feed.description)}</subtitle>`] : []),
+        `  <id>${escapeXml(feed.urls.atom)}</id>`,
+        `  <link href="${escapeXml(feed.urls.atom)}" rel="self" type="application/atom+xml"/>`,
+        `  <link href="${escapeXml(feed.homeUrl)}" rel="alternate" type="text/html"/>`,
+        `  <updated>${feed.updated.toISOString()}</updated>`,
+        // Atom needs an author for the feed or every entry
+        `  <author><name>${escapeXml(feed.author || feed.title)}</name></author>`,
+    ];
+    for (const item of feed.items) {
+        lines.push(
+            '  <entry>',
+            `    <title>${escapeXml(item.title)}</title>`,
+            `    <id>${escapeXml(item.url)}</id>`,
+            `    <link href="${escapeXml(item.url)}" rel="alternate" type="text/html"/>`,
+            `    <published>${item.date.toISOString()}</published>`,
+            `    <updated>${item.updated.toISOString()}</updated>`,
+            ...(item.author ? [`    <author><name>${escapeXml(item.author)}</name></author>`] : []),
+            ...item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+            ...(item.description ? [`    <summary>${escapeXml(item.description)}</summary>`] : []),
+            `    <content type="html">${escapeXml(item.html)}</content>`,
+            '  </entry>',
+        );
+    }
+    lines.push('</feed>');
+    return `${lines.join('\n')}\n`;
+}
+
+function jsonFeed(feed) {
+    return `${JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.urls.json,
+        ...(feed.description ? { description: feed.description } : {}),
+        ...(feed.author ? { authors: [{ name: feed.author }] } : {}),
+        items: feed.items.map(item => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            content_html: item.html,
+            ...(item.description ? { summary: item.description } : {}),
+            date_published: item.date.toISOString(),
+            ...(item.updated !== item.date ? { date_modified: item.updated.toISOString() } : {}),
+            ...(item.author ? { authors: [{ name: item.author }] } : {}),
+            ...(item.tags.length > 0 ? { tags: item.tags } : {}),
+        })),
+    }, null, 2)}\n`;
+}
+
+const RENDERERS = { rss: rssXml, atom: atomXml, json: jsonFeed };
+
+/**
+ * Write the RSS, Atom and JSON feeds of dataSet, or of collection, with
+ * the newest limit pages. baseUrl defaults to baseUrl in settings.yml; the
+ * feed title, description and author to title, description and author
+ * there.
+ */
+export async function generateFeeds({ dataSet = 'default', collection = null, baseUrl, limit = 20 }) {
+    const settings = await loadSettings();
+    const base = siteBaseUrl(baseUrl ?? settings.baseUrl, 'Feeds');
+    const collectionSettings = collection ? await findCollection(collection) : null;
+    const outputNames = outputNamesIn(collectionSettings ? collectionSettings.path : '');
+    const now = new Date();
+
+    const pages = (await feedPages(dataSet, collection, now)).slice(0, limit);
+    const bodies = await renderBodies(pages.map(({ page }) => page));
+
+    const siteTitle = settings.title ? String(settings.title) : new URL(base).host;
+    const items = pages.map(({ page, url }) => {
+        const absoluteUrl = siteUrl(url, base);
+        const { attributes } = page;
+        return {
+            pageName: page.pageName,
+            url: absoluteUrl,
+            title: attributes.title ? String(attributes.title) : page.pageName,
+            date: attributes.date,
+            updated: attributes.updated instanceof Date ? attributes.updated : attributes.date,
+            description: attributes.description ? String(attributes.description) : null,
+            author: authorName(attributes.author) || authorName(settings.author),
+            tags: (attributes.tags || []).map(String),
+            html: absoluteLinks(bodies.get(page.pageName), absoluteUrl, base),
+        };
+    });
+
+    const feed = {
+        title: collectionSettings ? `${siteTitle}: ${collectionSettings.title}` : siteTitle,
+        description: settings.description ? String(settings.description) : null,
+        author: authorName(settings.author),
+        homeUrl: collectionSettings ? siteUrl(urlFor(path.posix.join(collectionSettings.path, 'index.html')), base) : base,
+        urls: Object.fromEntries(Object.entries(outputNames).map(([format, outputName]) => [format, siteUrl(outputName, base)])),
+        updated: items.length > 0 ? new Date(Math.max(...items.map(item => item.updated))) : now,
+        items,
+    };
+
+    const files = [];
+    for (const [format, outputName] of Object.entries(outputNames)) {
+        const outputPath = await resolveDistPath(outputName);
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, RENDERERS[format](feed));
+        debugLog(`Wrote ${format} feed to ${outputPath}`);
+        files.push({ format, outputName, outputPath, url: feed.urls[format] });
+    }
+
+    return {
+        baseUrl: base,
+        dataSet,
+        collection,
+        files,
+        items: items.map(({ pageName, url, title, date }) => ({ pageName, url, title, date })),
+    };
+}
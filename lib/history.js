@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { STATE_DIR } from './config.js';
+import { resolveWithin, resolveContentPath, safeSegment } from './paths.js';
+import { parseFrontmatter } from './content.js';
+import { unifiedDiff, diffAttributes } from './diff.js';
+import { CmsError } from './errors.js';
+
+/**
+ * Revisions of pages, one JSON file per saved version in
+ * .pinkfrog/history/<dataSet>/<pageName>/<id>.json:
+ *
+ *   { id, dataSet, pageName, savedAt, reason, hash, deleted, source }
+ *
+ * source is the whole page file; a deletion is kept as a revision with
+ * deleted: true and source null. hash is the sha256 of source, the same
+ * hash the audit log records. Ids sort in the order revisions were saved.
+ */
+
+export const HISTORY_DIR = path.join(STATE_DIR, 'history');
+
+const REVISION_ID = /^\d{8}T\d{9}Z-[0-9a-f]{8}$/;
+
+async function pageHistoryDir(dataSet, pageName) {
+    const dataSetDir = path.join(HISTORY_DIR, safeSegment(dataSet, 'dataSet'));
+    return resolveWithin(dataSetDir, pageName, 'page name');
+}
+
+function hashSource(source) {
+    return source === null ? null : createHash('sha256').update(source).digest('hex');
+}
+
+async function readRevisions(dataSet, pageName) {
+    const dir = await pageHistoryDir(dataSet, pageName);
+    let names;
+    try {
+        names = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    const ids = names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -'.json'.length)).sort();
+    return Promise.all(ids.map(async id => JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf8'))));
+}
+
+/**
+ * Keep source as the newest revision of a page, or a deletion when source
+ * is null. Nothing is saved when it equals the newest revision.
+ */
+export async function recordRevision(dataSet, pageName, source, reason) {
+    const revisions = await readRevisions(dataSet, pageName);
+    const latest = revisions[revisions.length - 1];
+    const hash = hashSource(source);
+    if (latest && latest.hash === hash) {
+        return latest;
+    }
+
+    const savedAt = new Date().toISOString();
+    const id = `${savedAt.replace(/[-:.]/g, '')}-${(hash || hashSource(savedAt)).slice(0, 8)}`;
+    const revision = { id, dataSet, pageName, savedAt, reason, hash, deleted: source === null, source };
+
+    const dir = await pageHistoryDir(dataSet, pageName);
+    await fs.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, `${id}.json`);
+    const temporary = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(revision, null, 2));
+    await fs.rename(temporary, filePath);
+    return revision;
+}
+
+/**
+ * Before a page without history is changed, keep the file as it is, so
+ * the first tracked save does not lose the version written before history
+ * was kept (or by hand).
+ */
+export async function keepOriginal(dataSet, pageName, filePath) {
+    if ((await readRevisions(dataSet, pageName)).length > 0) {
+        return;
+    }
+    let source;
+    try {
+        source = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return;
+        }
+        throw error;
+    }
+    await recordRevision(dataSet, pageName, source, 'original');
+}
+
+// The revisions of a page without their source, newest first
+export async function listRevisions(dataSet, pageName) {
+    const revisions = await readRevisions(dataSet, pageName);
+    return revisions.reverse().map(({ source, ...revision }) => ({
+        ...revision,
+        size: source === null ? 0 : Buffer.byteLength(source),
+    }));
+}
+
+export async function loadRevision(dataSet, pageName, id) {
+    if (typeof id !== 'string' || !REVISION_ID.test(id)) {
+        throw new CmsError('REVISION_NOT_FOUND', `Page "${pageName}" has no revision ${id}`, { pageName, revision: id });
+    }
+    try {
+        return JSON.parse(await fs.readFile(path.join(await pageHistoryDir(dataSet, pageName), `${id}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new CmsError('REVISION_NOT_FOUND', `Page "${pageName}" has no revision ${id}`, { pageName, revision: id });
+        }
+        throw error;
+    }
+}
+
+// The page file as it is now, or null when it does not exist
+async function readCurrent(dataSet, pageName) {
+    try {
+        return await fs.readFile(await resolveContentPath(dataSet, pageName), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Attributes and body of a page file; a deleted page has neither
+function pageParts(source, pageName) {
+    return source === null ? { attributes: {}, content: '' } : parseFrontmatter(source, pageName);
+}
+
+/**
+ * What changed from revision id to revision against, or to the page file
+ * as it is now when against is 'current'. Resolves to the frontmatter
+ * attributes that differ and a unified diff of the body.
+ */
+export async function diffRevision({ dataSet, pageName, id, against = 'current' }) {
+    const from = await loadRevision(dataSet, pageName, id);
+    const toSource = against === 'current'
+        ? await readCurrent(dataSet, pageName)
+        : (await loadRevision(dataSet, pageName, against)).source;
+
+    const before = pageParts(from.source, pageName);
+    const after = pageParts(toSource, pageName);
+    const frontmatter = diffAttributes(before.attributes, after.attributes);
+    const body = unifiedDiff(before.content, after.content, {
+        fromLabel: `${pageName}@${id}`,
+        toLabel: `${pageName}@${against}`,
+    });
+
+    return {
+        revision: id,
+        against,
+        changed: frontmatter.length > 0 || body !== '' || from.deleted !== (toSource === null),
+        deleted: { before: from.deleted, after: toSource === null },
+        frontmatter,
+        body,
+    };
+}
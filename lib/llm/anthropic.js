@@ -0,0 +1,84 @@
+import { CmsError } from '../errors.js';
+import { requireKey, postJson, postEventStream } from './common.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const DEFAULT_MODEL = 'claude-3-5-haiku-latest';
+const API_VERSION = '2023-06-01';
+const MAX_TOKENS = 4096;
+
+function toAnthropicMessages(messages) {
+    return messages.map(message => {
+        if (message.role === 'user') {
+            return { role: 'user', content: message.text };
+        }
+        if (message.role === 'assistant') {
+            const content = message.text ? [{ type: 'text', text: message.text }] : [];
+            for (const call of message.toolCalls || []) {
+                content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args });
+            }
+            return { role: 'assistant', content };
+        }
+        return {
+            role: 'user',
+            content: message.results.map(({ id, result }) => ({
+                type: 'tool_result',
+                tool_use_id: id,
+                content: JSON.stringify(result),
+                ...(result && result.success === false ? { is_error: true } : {}),
+            })),
+        };
+    });
+}
+
+// Stream a message, passing text deltas to onText; resolves to its content blocks
+async function streamBlocks(url, body, headers, onText) {
+    const blocks = [];
+    const json = [];
+    for await (const event of postEventStream(url, { ...body, stream: true }, headers)) {
+        if (event.type === 'content_block_start') {
+            blocks[event.index] = { ...event.content_block };
+            json[event.index] = '';
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            blocks[event.index].text += event.delta.text;
+            onText(event.delta.text);
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+            json[event.index] += event.delta.partial_json;
+        } else if (event.type === 'error') {
+            throw new CmsError('LLM_REQUEST_FAILED', event.error?.message || 'Anthropic stream failed');
+        }
+    }
+    return blocks.filter(Boolean).map((block, index) =>
+        block.type === 'tool_use' && json[index] ? { ...block, input: JSON.parse(json[index]) } : block);
+}
+
+// Anthropic's Messages API over fetch (ANTHROPIC_API_KEY)
+export function createAnthropicProvider({ model = DEFAULT_MODEL, baseUrl = DEFAULT_BASE_URL }) {
+    const key = requireKey('ANTHROPIC_API_KEY', 'anthropic');
+    const url = `${baseUrl.replace(/\/+$/, '')}/messages`;
+
+    return {
+        name: 'anthropic',
+        model,
+
+        async complete({ messages, tools = [], onText = null }) {
+            const body = {
+                model,
+                max_tokens: MAX_TOKENS,
+                messages: toAnthropicMessages(messages),
+                ...(tools.length > 0 ? {
+                    tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema })),
+                } : {}),
+            };
+            const headers = { 'x-api-key': key, 'anthropic-version': API_VERSION };
+            const blocks = onText
+                ? await streamBlocks(url, body, headers, onText)
+                : (await postJson(url, body, headers)).content || [];
+            return {
+                text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+                toolCalls: blocks
+                    .filter(block => block.type === 'tool_use')
+                    .map(block => ({ id: block.id, name: block.name, args: block.input || {} })),
+            };
+        },
+    };
+}
@@ -0,0 +1,64 @@
+import { CmsError } from '../errors.js';
+
+// Helpers shared by the provider adapters
+
+// Throw LLM_NOT_CONFIGURED unless the environment variable is set
+export function requireKey(variable, provider) {
+    const key = process.env[variable];
+    if (!key) {
+        throw new CmsError('LLM_NOT_CONFIGURED', `${variable} is not set; the ${provider} provider needs an API key`);
+    }
+    return key;
+}
+
+// A JSON object for a tool result, as function responses must be objects
+export function asObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : { result: value };
+}
+
+async function post(url, body, headers) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const text = await response.text();
+        throw new CmsError('LLM_REQUEST_FAILED', `${url} answered ${response.status}: ${text.slice(0, 500)}`, { status: response.status });
+    }
+    return response;
+}
+
+// POST a JSON body and return the parsed response; HTTP errors throw LLM_REQUEST_FAILED
+export async function postJson(url, body, headers = {}) {
+    return (await post(url, body, headers)).json();
+}
+
+/**
+ * POST a JSON body to an endpoint answering with server-sent events and
+ * yield the JSON data of each event. A "[DONE]" data line ends the stream.
+ */
+export async function* postEventStream(url, body, headers = {}) {
+    const response = await post(url, body, headers);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end).replace(/^\r?\n\r?\n/, '');
+            const data = block.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data === '[DONE]') {
+                return;
+            }
+            if (data) {
+                yield JSON.parse(data);
+            }
+        }
+    }
+}
@@ -0,0 +1,107 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { requireKey, asObject } from './common.js';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+// Schema keywords Gemini function declarations accept
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'items', 'enum', 'format', 'nullable'];
+
+/**
+ * Strip JSON Schema keywords (additionalProperties, default, ...) Gemini
+ * rejects. Gemini takes a single type per schema, so a type list with
+ * null, e.g. ['string', 'null'], becomes the other type plus nullable.
+ */
+function toGeminiSchema(schema) {
+    const result = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema[key] === undefined) {
+            continue;
+        }
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)]));
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else if (key === 'type' && Array.isArray(schema.type)) {
+            const types = schema.type.filter(type => type !== 'null');
+            if (types.length !== 1) {
+                throw new Error(`Gemini cannot declare a schema of types ${schema.type.join(', ')}`);
+            }
+            result.type = types[0];
+            if (types.length < schema.type.length) {
+                result.nullable = true;
+            }
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    return result;
+}
+
+// MCP tool definitions as Gemini function declarations
+export function toFunctionDeclarations(tools) {
+    return tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: toGeminiSchema(tool.inputSchema),
+    }));
+}
+
+function toContents(messages) {
+    return messages.map(message => {
+        if (message.role === 'user') {
+            return { role: 'user', parts: [{ text: message.text }] };
+        }
+        if (message.role === 'assistant') {
+            const parts = message.text ? [{ text: message.text }] : [];
+            for (const call of message.toolCalls || []) {
+                parts.push({ functionCall: { name: call.name, args: call.args } });
+            }
+            return { role: 'model', parts };
+        }
+        return {
+            role: 'function',
+            parts: message.results.map(({ name, result }) => ({ functionResponse: { name, response: asObject(result) } })),
+        };
+    });
+}
+
+// Google Gemini through @google/generative-ai (GEMINI_KEY)
+export function createGeminiProvider({ model = DEFAULT_MODEL }) {
+    const genAI = new GoogleGenerativeAI(requireKey('GEMINI_KEY', 'gemini'));
+
+    return {
+        name: 'gemini',
+        model,
+
+        async complete({ messages, tools = [], onText = null }) {
+            const generativeModel = genAI.getGenerativeModel({
+                model,
+                tools: tools.length > 0
+                    ? [{ functionDeclarations: toFunctionDeclarations(tools) }]
+                    : undefined,
+            });
+
+            let response;
+            if (onText) {
+                const result = await generativeModel.generateContentStream({ contents: toContents(messages) });
+                for await (const chunk of result.stream) {
+                    const text = chunk.text();
+                    if (text) {
+                        onText(text);
+                    }
+                }
+                response = await result.response;
+            } else {
+                ({ response } = await generativeModel.generateContent({ contents: toContents(messages) }));
+            }
+            // Gemini has no call ids; number the calls of this turn instead
+            const toolCalls = (response.functionCalls() || []).map((call, index) => ({
+                id: `call_${index}`,
+                name: call.name,
+                args: call.args || {},
+            }));
+            return { text: response.text(), toolCalls };
+        },
+    };
+}
@@ -0,0 +1,60 @@
+import { loadSettings } from '../content.js';
+import { CmsError } from '../errors.js';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * Chat model providers with function calling. A provider is
+ *
+ *   {
+ *     name: 'gemini',
+ *     model: 'gemini-1.5-flash',
+ *     async complete({ messages, tools, onText }) { return { text, toolCalls }; },
+ *   }
+ *
+ * complete() is stateless: messages is the whole conversation so far in a
+ * provider neutral form, which each adapter converts to its own API:
+ *
+ *   { role: 'user', text }
+ *   { role: 'assistant', text, toolCalls: [{ id, name, args }] }
+ *   { role: 'tool', results: [{ id, name, result }] }
+ *
+ * tools are MCP tool definitions ({ name, description, inputSchema }).
+ * toolCalls is empty when the model answered without calling a tool.
+ * With onText the answer is streamed: onText(delta) gets each piece of
+ * text as it arrives.
+ */
+
+const FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    anthropic: createAnthropicProvider,
+    mock: createMockProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+/**
+ * The provider selected by the llm section of settings.yml, overridden by
+ * LLM_PROVIDER, LLM_MODEL and LLM_BASE_URL. API keys only come from the
+ * environment. Throws a CmsError (LLM_NOT_CONFIGURED) when the provider
+ * is unknown or its key is missing.
+ */
+export async function createProvider(overrides = {}) {
+    const settings = (await loadSettings()).llm || {};
+    const options = {
+        provider: process.env.LLM_PROVIDER || settings.provider || 'gemini',
+        model: process.env.LLM_MODEL || settings.model,
+        baseUrl: process.env.LLM_BASE_URL || settings.baseUrl,
+        script: process.env.LLM_MOCK_SCRIPT || settings.script,
+        ...overrides,
+    };
+
+    const factory = FACTORIES[options.provider];
+    if (!factory) {
+        throw new CmsError('LLM_NOT_CONFIGURED', `Unknown LLM provider "${options.provider}"; use one of ${PROVIDER_NAMES.join(', ')}`);
+    }
+    return factory(options);
+}
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { CmsError } from '../errors.js';
+
+/**
+ * A deterministic provider for development and tests. script is a list of
+ * turns, or the path of a YAML/JSON file holding one:
+ *
+ *   - toolCalls:
+ *       - name: list_pages
+ *         args: {}
+ *   - text: There are two pages.
+ *
+ * Each complete() call answers with the next turn. Without a script, or
+ * once it is used up, the mock calls no tools and echoes the last prompt.
+ */
+function loadScript(script) {
+    if (!script) {
+        return [];
+    }
+    if (Array.isArray(script)) {
+        return script;
+    }
+    try {
+        const turns = yaml.load(fs.readFileSync(script, 'utf8'));
+        if (!Array.isArray(turns)) {
+            throw new Error('the script must be a list of turns');
+        }
+        return turns;
+    } catch (error) {
+        throw new CmsError('LLM_NOT_CONFIGURED', `Cannot load mock script ${script}: ${error.message}`);
+    }
+}
+
+export function createMockProvider({ model = 'scripted', script = null }) {
+    const turns = loadScript(script);
+    let next = 0;
+
+    return {
+        name: 'mock',
+        model,
+
+        async complete({ messages, onText = null }) {
+            let reply;
+            if (next < turns.length) {
+                const turn = turns[next++];
+                reply = {
+                    text: turn.text || '',
+                    toolCalls: (turn.toolCalls || []).map((call, index) => ({
+                        id: `mock_${next}_${index}`,
+                        name: call.name,
+                        args: call.args || {},
+                    })),
+                };
+            } else {
+                const prompt = [...messages].reverse().find(message => message.role === 'user');
+                reply = { text: `Mock reply to: ${prompt ? prompt.text : ''}`, toolCalls: [] };
+            }
+            // Stream word by word, like a real model would
+            if (onText) {
+                for (const token of reply.text.match(/\S+\s*/g) || []) {
+                    onText(token);
+                }
+            }
+            return reply;
+        },
+    };
+}
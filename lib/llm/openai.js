@@ -0,0 +1,100 @@
+import { postJson, postEventStream } from './common.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function toOpenAIMessages(messages) {
+    const result = [];
+    for (const message of messages) {
+        if (message.role === 'user') {
+            result.push({ role: 'user', content: message.text });
+        } else if (message.role === 'assistant') {
+            const toolCalls = message.toolCalls || [];
+            result.push({
+                role: 'assistant',
+                content: message.text || null,
+                ...(toolCalls.length > 0 ? {
+                    tool_calls: toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.args) },
+                    })),
+                } : {}),
+            });
+        } else {
+            for (const { id, result: value } of message.results) {
+                result.push({ role: 'tool', tool_call_id: id, content: JSON.stringify(value) });
+            }
+        }
+    }
+    return result;
+}
+
+function parseArguments(text) {
+    try {
+        return text ? JSON.parse(text) : {};
+    } catch (error) {
+        // Local models sometimes emit broken JSON; the tool's validation reports it
+        return { _unparsed: text };
+    }
+}
+
+// Stream a completion, passing text deltas to onText; resolves to the whole message
+async function streamMessage(url, body, headers, onText) {
+    const message = { content: '', tool_calls: [] };
+    for await (const chunk of postEventStream(url, { ...body, stream: true }, headers)) {
+        const delta = chunk.choices?.[0]?.delta || {};
+        if (delta.content) {
+            message.content += delta.content;
+            onText(delta.content);
+        }
+        // Tool calls arrive in pieces, matched up by index
+        for (const part of delta.tool_calls || []) {
+            const call = message.tool_calls[part.index] ||= { id: null, function: { name: '', arguments: '' } };
+            call.id = part.id || call.id;
+            call.function.name += part.function?.name || '';
+            call.function.arguments += part.function?.arguments || '';
+        }
+    }
+    message.tool_calls = message.tool_calls.filter(Boolean);
+    return message;
+}
+
+/**
+ * Any OpenAI compatible chat completions endpoint: OpenAI itself, or a
+ * local Ollama (http://localhost:11434/v1) or llama.cpp server. The key
+ * (OPENAI_API_KEY) is optional, as local servers don't need one.
+ */
+export function createOpenAIProvider({ model = DEFAULT_MODEL, baseUrl = DEFAULT_BASE_URL }) {
+    const key = process.env.OPENAI_API_KEY;
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        model,
+
+        async complete({ messages, tools = [], onText = null }) {
+            const body = {
+                model,
+                messages: toOpenAIMessages(messages),
+                ...(tools.length > 0 ? {
+                    tools: tools.map(tool => ({
+                        type: 'function',
+                        function: { name: tool.name, description: tool.description, parameters: tool.inputSchema },
+                    })),
+                } : {}),
+            };
+            const headers = key ? { Authorization: `Bearer ${key}` } : {};
+            const message = onText
+                ? await streamMessage(url, body, headers, onText)
+                : (await postJson(url, body, headers)).choices?.[0]?.message || {};
+
+            const toolCalls = (message.tool_calls || []).map((call, index) => ({
+                id: call.id || `call_${index}`,
+                name: call.function.name,
+                args: parseArguments(call.function.arguments),
+            }));
+            return { text: message.content || '', toolCalls };
+        },
+    };
+}
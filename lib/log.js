@@ -0,0 +1,19 @@
+let enabled = true;
+
+// Turn debug logging on or off (the CLI keeps stderr quiet unless --verbose)
+export function setDebugLogging(value) {
+    enabled = Boolean(value);
+}
+
+// Helper function to log to stderr (won't interfere with stdio protocol)
+export function debugLog(message, data = null) {
+    if (!enabled) {
+        return;
+    }
+    const timestamp = new Date().toISOString();
+    if (data) {
+        console.error(`[${timestamp}] MCP: ${message}`, data);
+    } else {
+        console.error(`[${timestamp}] MCP: ${message}`);
+    }
+}
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { DIST_DIR } from './config.js';
+import { debugLog } from './log.js';
+
+/**
+ * The build manifest in dist records what each generated file was made
+ * from, so later builds can skip unchanged outputs and remove outputs
+ * whose source is gone:
+ *
+ *   pages.<dataSet>.<pageName>       { outputName, hash }   hash of all inputs
+ *   listings.<dataSet>.<outputName>  { collection, hash }   collection listing page
+ *   media.<relative path>            { size, mtimeMs }      copied media file
+ */
+
+export const MANIFEST_NAME = '.pinkfrog-manifest.json';
+export const MANIFEST_PATH = path.join(DIST_DIR, MANIFEST_NAME);
+
+// Bump when the rendering changes so every output is rebuilt once
+const MANIFEST_VERSION = 1;
+
+function emptyManifest() {
+    return { version: MANIFEST_VERSION, pages: {}, listings: {}, media: {} };
+}
+
+// sha256 of the given strings, each length-prefixed so boundaries count
+export function hashInputs(parts) {
+    const hash = createHash('sha256');
+    for (const part of parts) {
+        const text = String(part ?? '');
+        hash.update(`${Buffer.byteLength(text)}:`).update(text);
+    }
+    return hash.digest('hex');
+}
+
+// Read the manifest; a missing, unreadable or outdated one starts empty
+export async function readManifest() {
+    try {
+        const manifest = JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
+        if (manifest.version === MANIFEST_VERSION) {
+            return { ...emptyManifest(), ...manifest };
+        }
+        debugLog('Build manifest has an old version, rebuilding everything');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            debugLog('Error reading build manifest:', error.message);
+        }
+    }
+    return emptyManifest();
+}
+
+export async function writeManifest(manifest) {
+    await fs.mkdir(DIST_DIR, { recursive: true });
+    const temporary = `${MANIFEST_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(manifest, null, 2));
+    await fs.rename(temporary, MANIFEST_PATH);
+}
+
+let pending = Promise.resolve();
+
+/**
+ * Run task(manifest) and save the manifest afterwards. Calls are queued so
+ * concurrent builds (a watching preview and a tool call) cannot overwrite
+ * each other's entries.
+ */
+export function withManifest(task) {
+    const run = pending.then(async () => {
+        const manifest = await readManifest();
+        const result = await task(manifest);
+        await writeManifest(manifest);
+        return result;
+    });
+    pending = run.catch(() => {});
+    return run;
+}
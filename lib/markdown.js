@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Marked, Renderer } from 'marked';
+import { resolveDecorationPath } from './paths.js';
+import { debugLog } from './log.js';
+import { fillPlaceholders, escapeHtml } from './template.js';
+
+/**
+ * Markdown to HTML renderer driven by the decoration's markdown/ snippets.
+ *
+ * Every node type looks for a snippet named after its HTML tag
+ * (h1.html ... h6.html, p.html, ul.html, ol.html, li.html, a.html, img.html,
+ * em.html, strong.html, del.html, code.html, pre.html, blockquote.html,
+ * table.html, thead.html, tbody.html, tr.html, th.html, td.html, hr.html,
+ * br.html). Snippets receive {{content}} plus node specific placeholders
+ * ({{href}}, {{title}}, {{src}}, {{alt}}, {{lang}}, {{align}}, {{start}},
+ * {{level}}). Nodes without a snippet fall back to plain HTML.
+ */
+
+// Remove the outer element from a default rendering, keeping its children
+function unwrap(html, tag) {
+    const match = html.match(new RegExp(`^\\s*<${tag}\\b[^>]*>([\\s\\S]*)</${tag}>\\s*$`));
+    return match ? match[1] : html;
+}
+
+class DecoratedRenderer extends Renderer {
+    constructor(snippets = {}) {
+        super();
+        this.snippets = snippets;
+    }
+
+    // Render through a snippet when the decoration provides one
+    decorate(tag, values, fallback, block = false) {
+        const snippet = this.snippets[`${tag}.html`];
+        if (snippet === undefined) {
+            return fallback();
+        }
+        const html = fillPlaceholders(snippet.trim(), values);
+        return block ? `${html}\n` : html;
+    }
+
+    heading(token) {
+        const tag = `h${token.depth}`;
+        const content = this.parser.parseInline(token.tokens);
+        return this.decorate(tag, { content, level: token.depth }, () => super.heading(token), true);
+    }
+
+    paragraph(token) {
+        const content = this.parser.parseInline(token.tokens);
+        return this.decorate('p', { content }, () => super.paragraph(token), true);
+    }
+
+    blockquote(token) {
+        const fallback = () => super.blockquote(token);
+        return this.decorate('blockquote', { content: unwrap(fallback(), 'blockquote') }, fallback, true);
+    }
+
+    code(token) {
+        const lang = (token.lang || '').match(/^\S*/)[0];
+        const content = token.escaped ? token.text : escapeHtml(token.text);
+        return this.decorate('pre', { content, lang: escapeHtml(lang) }, () => super.code(token), true);
+    }
+
+    hr(token) {
+        return this.decorate('hr', {}, () => super.hr(token), true);
+    }
+
+    list(token) {
+        const tag = token.ordered ? 'ol' : 'ul';
+        const fallback = () => super.list(token);
+        const start = token.ordered && token.start !== '' ? token.start : '';
+        return this.decorate(tag, { content: unwrap(fallback(), tag), start }, fallback, true);
+    }
+
+    listitem(item) {
+        const fallback = () => super.listitem(item);
+        return this.decorate('li', { content: unwrap(fallback(), 'li'), checked: item.checked ? 'checked' : '' }, fallback, true);
+    }
+
+    table(token) {
+        const cell = (tokenCell) => {
+            const tag = tokenCell.header ? 'th' : 'td';
+            const content = this.parser.parseInline(tokenCell.tokens);
+            const align = tokenCell.align || '';
+            return this.decorate(tag, { content, align }, () => {
+                const alignAttr = align ? ` align="${align}"` : '';
+                return `<${tag}${alignAttr}>${content}</${tag}>`;
+            });
+        };
+        const row = (cells) => {
+            const content = cells.map(cell).join('');
+            return this.decorate('tr', { content }, () => `<tr>\n${content}</tr>`) + '\n';
+        };
+
+        const header = row(token.header);
+        const rows = token.rows.map(row).join('');
+        const thead = this.decorate('thead', { content: header }, () => `<thead>\n${header}</thead>`) + '\n';
+        const tbody = rows
+            ? this.decorate('tbody', { content: rows }, () => `<tbody>${rows}</tbody>`) + '\n'
+            : '';
+        const content = thead + tbody;
+
+        return this.decorate('table', { content }, () => `<table>\n${content}</table>\n`, true);
+    }
+
+    strong(token) {
+        const content = this.parser.parseInline(token.tokens);
+        return this.decorate('strong', { content }, () => super.strong(token));
+    }
+
+    em(token) {
+        const content = this.parser.parseInline(token.tokens);
+        return this.decorate('em', { content }, () => super.em(token));
+    }
+
+    codespan(token) {
+        return this.decorate('code', { content: escapeHtml(token.text) }, () => super.codespan(token));
+    }
+
+    br(token) {
+        return this.decorate('br', {}, () => super.br(token));
+    }
+
+    del(token) {
+        const content = this.parser.parseInline(token.tokens);
+        return this.decorate('del', { content }, () => super.del(token));
+    }
+
+    link(token) {
+        const content = this.parser.parseInline(token.tokens);
+        const values = { content, href: escapeHtml(token.href), title: token.title ? escapeHtml(token.title) : '' };
+        return this.decorate('a', values, () => super.link(token));
+    }
+
+    image(token) {
+        const values = { src: escapeHtml(token.href), alt: escapeHtml(token.text), title: token.title ? escapeHtml(token.title) : '' };
+        return this.decorate('img', values, () => super.image(token));
+    }
+}
+
+/**
+ * Create a renderer bound to a set of snippets ({ 'h1.html': '...' }).
+ * render() returns the full HTML; renderBlocks() returns one entry per
+ * top-level block with its tag, inner HTML, rendered HTML and 1-based line.
+ */
+export function createMarkdownRenderer(snippets = {}) {
+    const renderer = new DecoratedRenderer(snippets);
+    // setOptions() keeps the renderer instance as is; use() would copy its methods one by one
+    const marked = new Marked({ gfm: true }).setOptions({ renderer });
+
+    const blockTag = (token) => {
+        switch (token.type) {
+            case 'heading':
+                return `h${token.depth}`;
+            case 'paragraph':
+                return 'p';
+            case 'list':
+                return token.ordered ? 'ol' : 'ul';
+            case 'code':
+                return 'pre';
+            default:
+                return token.type;
+        }
+    };
+
+    return {
+        render(markdown) {
+            return marked.parse(markdown);
+        },
+
+        renderBlocks(markdown) {
+            const blocks = [];
+            let line = 1;
+
+            for (const token of marked.lexer(markdown)) {
+                const tokenLine = line + (token.raw.match(/^\n*/)[0].length);
+                line += (token.raw.match(/\n/g) || []).length;
+                if (token.type === 'space') {
+                    continue;
+                }
+
+                const html = marked.parser([token]).trim();
+                // parser() binds the renderer to a fresh parser, reused for the inline content
+                const inner = token.type === 'heading' || token.type === 'paragraph'
+                    ? renderer.parser.parseInline(token.tokens)
+                    : html;
+                blocks.push({ type: token.type, tag: blockTag(token), token, inner, html, line: tokenLine });
+            }
+
+            return blocks;
+        },
+    };
+}
+
+// Read the decoration's markdown/*.html snippets into a { file: content } map
+export async function readMarkdownSnippets(decoration) {
+    const markdownDir = await resolveDecorationPath(decoration, 'markdown');
+    const snippets = {};
+
+    try {
+        for (const file of await fs.readdir(markdownDir)) {
+            if (file.endsWith('.html')) {
+                snippets[file] = await fs.readFile(path.join(markdownDir, file), 'utf8');
+            }
+        }
+    } catch (error) {
+        debugLog('Error reading markdown templates:', error.message);
+    }
+
+    return snippets;
+}
@@ -0,0 +1,239 @@
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { debugLog } from './log.js';
+import { ROLES, verifyToken } from './auth.js';
+
+/**
+ * MCP over HTTP, so several clients can share one content tree:
+ *
+ *   POST/GET/DELETE /mcp          Streamable HTTP (one session per client)
+ *   GET  /sse, POST /messages     the older HTTP+SSE transport as a fallback
+ *
+ * Every session gets its own MCP server from createServer(). With a token
+ * each request needs "Authorization: Bearer <token>"; a user's API token
+ * (pf_...) works too. Browsers may only call from allowed origins;
+ * requests without an Origin header (other programs) are not restricted.
+ *
+ * Each request is checked on its own and handed to the MCP server as
+ * req.auth, whose extra holds { role, user }: a user's API token acts
+ * with that user's role, the shared token or no token with role (viewer
+ * unless configured). Clients cannot choose their role themselves.
+ */
+
+export const MCP_PATH = '/mcp';
+export const SSE_PATH = '/sse';
+export const SSE_MESSAGES_PATH = '/messages';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+function sendJsonRpcError(res, statusCode, code, message) {
+    if (res.headersSent) {
+        return;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw Object.assign(new Error('Request body too large'), { statusCode: 413 });
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw Object.assign(new Error('Request body is not valid JSON'), { statusCode: 400 });
+    }
+}
+
+// Whether origin may call; '*' allows any, otherwise exact matches, and local pages by default
+function originAllowed(origin, corsOrigins) {
+    if (corsOrigins.includes('*')) {
+        return true;
+    }
+    return corsOrigins.length > 0 ? corsOrigins.includes(origin) : LOCAL_ORIGIN.test(origin);
+}
+
+function setCorsHeaders(res, origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+    res.setHeader('Access-Control-Max-Age', '600');
+}
+
+function bearerToken(header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    return match ? match[1].trim() : null;
+}
+
+function tokenMatches(given, token) {
+    const givenBytes = Buffer.from(given);
+    const expected = Buffer.from(token);
+    return givenBytes.length === expected.length && timingSafeEqual(givenBytes, expected);
+}
+
+// The AuthInfo of a request, or null when its credentials are missing or wrong
+async function authenticate(req, token, role) {
+    const given = bearerToken(req.headers.authorization);
+    if (given === null) {
+        return token ? null : { token: '', clientId: 'anonymous', scopes: [], extra: { role } };
+    }
+    if (token && tokenMatches(given, token)) {
+        return { token: given, clientId: 'token', scopes: [], extra: { role } };
+    }
+    const user = await verifyToken(given);
+    return user
+        ? { token: given, clientId: `user:${user.username}`, scopes: [], extra: { role: user.role, user: user.username } }
+        : null;
+}
+
+/**
+ * Start the HTTP server. createServer() returns a new, unconnected MCP
+ * server. role is the role of calls with the shared token or, without a
+ * token, of every call not made with a user's API token. Resolves to
+ * { url, sessions(), close() }.
+ */
+export async function startHttpServer({ createServer, host = '127.0.0.1', port = 3001, token = null, role = 'viewer', corsOrigins = [] }) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}"; use one of ${ROLES.join(', ')}`);
+    }
+    const streamable = new Map();
+    const legacy = new Map();
+
+    async function handleStreamable(req, res) {
+        const sessionId = req.headers['mcp-session-id'];
+        const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+        if (sessionId) {
+            const transport = streamable.get(sessionId);
+            if (!transport) {
+                sendJsonRpcError(res, 404, -32001, 'Session not found');
+                return;
+            }
+            await transport.handleRequest(req, res, body);
+            return;
+        }
+
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+            return;
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+                streamable.set(id, transport);
+                debugLog(`MCP HTTP session ${id} started`);
+            },
+        });
+        transport.onclose = () => {
+            if (transport.sessionId && streamable.delete(transport.sessionId)) {
+                debugLog(`MCP HTTP session ${transport.sessionId} closed`);
+            }
+        };
+
+        await createServer().connect(transport);
+        await transport.handleRequest(req, res, body);
+    }
+
+    async function handleLegacy(req, res, url) {
+        if (req.method === 'GET' && url.pathname === SSE_PATH) {
+            const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+            legacy.set(transport.sessionId, transport);
+            res.on('close', () => {
+                legacy.delete(transport.sessionId);
+                debugLog(`MCP SSE session ${transport.sessionId} closed`);
+            });
+            await createServer().connect(transport);
+            debugLog(`MCP SSE session ${transport.sessionId} started`);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === SSE_MESSAGES_PATH) {
+            const transport = legacy.get(url.searchParams.get('sessionId'));
+            if (!transport) {
+                sendJsonRpcError(res, 404, -32001, 'Session not found');
+                return;
+            }
+            await transport.handlePostMessage(req, res, await readJsonBody(req));
+            return;
+        }
+
+        res.setHeader('Allow', url.pathname === SSE_PATH ? 'GET' : 'POST');
+        sendJsonRpcError(res, 405, -32000, 'Method not allowed');
+    }
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            const origin = req.headers.origin;
+            if (origin) {
+                if (!originAllowed(origin, corsOrigins)) {
+                    sendJsonRpcError(res, 403, -32000, `Origin ${origin} is not allowed`);
+                    return;
+                }
+                setCorsHeaders(res, origin);
+            }
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+
+            req.auth = await authenticate(req, token, role);
+            if (!req.auth) {
+                res.setHeader('WWW-Authenticate', 'Bearer realm="pinkfrog-cms"');
+                sendJsonRpcError(res, 401, -32000, 'Unauthorized');
+                return;
+            }
+
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname === MCP_PATH) {
+                await handleStreamable(req, res);
+            } else if (url.pathname === SSE_PATH || url.pathname === SSE_MESSAGES_PATH) {
+                await handleLegacy(req, res, url);
+            } else {
+                sendJsonRpcError(res, 404, -32000, 'Not found');
+            }
+        } catch (error) {
+            debugLog('Error handling MCP HTTP request:', error.message);
+            sendJsonRpcError(res, error.statusCode || 500, -32603, error.statusCode ? error.message : 'Internal server error');
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+
+    const url = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}${MCP_PATH}`;
+    debugLog(`MCP HTTP server listening at ${url}`);
+
+    return {
+        url,
+        sessions() {
+            return { streamable: [...streamable.keys()], sse: [...legacy.keys()] };
+        },
+        async close() {
+            for (const transport of [...streamable.values(), ...legacy.values()]) {
+                await transport.close().catch(() => {});
+            }
+            const closed = new Promise(resolve => server.close(resolve));
+            server.closeAllConnections();
+            await closed;
+        },
+    };
+}
@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DIST_DIR } from './config.js';
+import { debugLog } from './log.js';
+import { MEDIA_ROOT, isWithinRoot, resolveWithin, resolveDistPath } from './paths.js';
+import { withManifest } from './manifest.js';
+
+export const MEDIA_DEST_DIR = path.join(DIST_DIR, 'media');
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Recursively copy files and directories, skipping symlinks that lead
+ * outside src/media and files whose size and mtime match the manifest.
+ * Copies go through resolveWithin, so a symlink in dist/media cannot lead
+ * them out of it.
+ */
+async function copyRecursive(src, dest, state) {
+    if (!await isWithinRoot(MEDIA_ROOT, src)) {
+        debugLog(`Skipped symlink outside media: ${src}`);
+        return;
+    }
+
+    const stats = await fs.stat(src);
+
+    if (stats.isDirectory()) {
+        await fs.mkdir(dest, { recursive: true });
+        for (const entry of await fs.readdir(src)) {
+            await copyRecursive(path.join(src, entry), path.join(dest, entry), state);
+        }
+    } else if (stats.isFile()) {
+        const relative = path.relative(MEDIA_ROOT, src);
+        const previous = state.entries[relative];
+        state.seen.add(relative);
+        const target = await resolveWithin(MEDIA_DEST_DIR, relative, 'media file');
+
+        if (!state.force && previous && previous.size === stats.size && previous.mtimeMs === stats.mtimeMs
+            && await fileExists(target)) {
+            state.skipped.push(relative);
+            return;
+        }
+
+        await fs.copyFile(src, target);
+        state.entries[relative] = { size: stats.size, mtimeMs: stats.mtimeMs };
+        state.copied.push(relative);
+        debugLog(`Copied file: ${src} -> ${target}`);
+    }
+}
+
+/**
+ * Copy src/media to dist/media. Files unchanged since the last copy are
+ * skipped unless force is set, and files copied earlier whose source is
+ * gone are removed from dist/media.
+ */
+export async function copyMedia({ force = false } = {}) {
+    await fs.access(MEDIA_ROOT).catch(() => {
+        throw new Error(`Source directory ${MEDIA_ROOT} does not exist`);
+    });
+    await fs.mkdir(await resolveDistPath(path.relative(DIST_DIR, MEDIA_DEST_DIR)), { recursive: true });
+
+    return withManifest(async (manifest) => {
+        const state = { entries: manifest.media, seen: new Set(), force, copied: [], skipped: [], removed: [] };
+        await copyRecursive(MEDIA_ROOT, MEDIA_DEST_DIR, state);
+
+        for (const relative of Object.keys(state.entries)) {
+            if (!state.seen.has(relative)) {
+                await fs.rm(await resolveWithin(MEDIA_DEST_DIR, relative, 'media file'), { force: true });
+                delete state.entries[relative];
+                state.removed.push(relative);
+                debugLog(`Removed media file: ${relative}`);
+            }
+        }
+        debugLog('Media files copied successfully');
+
+        return {
+            sourceDir: MEDIA_ROOT,
+            destinationDir: MEDIA_DEST_DIR,
+            copied: state.copied,
+            skipped: state.skipped,
+            removed: state.removed,
+        };
+    });
+}
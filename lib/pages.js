@@ -0,0 +1,372 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import yaml from 'js-yaml';
+import { debugLog } from './log.js';
+import { contentDirFor, listPageFiles, readPage, outputNameFor, publicationStatus, splitFrontmatter, parseRawFrontmatter } from './content.js';
+import { resolveContentPath } from './paths.js';
+import { CmsError } from './errors.js';
+import { keepOriginal, recordRevision, loadRevision } from './history.js';
+
+// Page create, update, delete and rename operations on a dataSet
+
+function pageSource(frontmatter, content) {
+    return `---\n${frontmatter ? `${frontmatter}\n` : ''}---\n\n${content.trim()}\n`;
+}
+
+function dumpYaml(value) {
+    return yaml.dump(value, { lineWidth: -1 }).trimEnd();
+}
+
+// Serialize frontmatter attributes and a Markdown body into a page file
+export function stringifyPage(attributes, content) {
+    return pageSource(Object.keys(attributes).length > 0 ? dumpYaml(attributes) : '', content);
+}
+
+/**
+ * The top-level attributes of block style frontmatter with the lines each
+ * spans, [{ key, start, end }], or null when a key line cannot be read on
+ * its own. Comments and blank lines between attributes belong to none.
+ */
+function attributeBlocks(lines) {
+    const blocks = [];
+    for (const [index, line] of lines.entries()) {
+        if (/^[^\s#-]/.test(line)) {
+            let parsed;
+            try {
+                parsed = yaml.load(line);
+            } catch (error) {
+                return null;
+            }
+            if (!parsed || typeof parsed !== 'object' || Object.keys(parsed).length !== 1) {
+                return null;
+            }
+            blocks.push({ key: Object.keys(parsed)[0], start: index, end: index + 1 });
+        } else if (blocks.length > 0 && line.trim() !== '' && !line.startsWith('#')) {
+            blocks[blocks.length - 1].end = index + 1;
+        }
+    }
+    return blocks;
+}
+
+// Whether the YAML text parses to attributes
+function parsesTo(text, attributes) {
+    try {
+        return isDeepStrictEqual(yaml.load(text) ?? {}, attributes);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * A page source with the frontmatter attributes in changes set (null
+ * removes one) and content as its body. Only the changed attributes are
+ * written anew: the others keep their text, so a date stays 2024-05-01
+ * and comments stay where they are. Frontmatter that cannot be edited
+ * line by line is dumped again from the attributes as written.
+ */
+function editPageSource(source, changes, content) {
+    const { frontmatter } = splitFrontmatter(source);
+    const entries = Object.entries(changes).filter(([, value]) => value !== undefined);
+    const expected = { ...parseRawFrontmatter(frontmatter) };
+    for (const [key, value] of entries) {
+        if (value === null) {
+            delete expected[key];
+        } else {
+            expected[key] = value;
+        }
+    }
+
+    const lines = frontmatter ? frontmatter.split('\n') : [];
+    const blocks = attributeBlocks(lines);
+    if (blocks && new Set(blocks.map(block => block.key)).size === blocks.length) {
+        const changed = new Map(entries);
+        const edited = [];
+        let index = 0;
+        for (const block of blocks) {
+            edited.push(...lines.slice(index, block.start));
+            if (!changed.has(block.key)) {
+                edited.push(...lines.slice(block.start, block.end));
+            } else if (changed.get(block.key) !== null) {
+                edited.push(dumpYaml({ [block.key]: changed.get(block.key) }));
+            }
+            changed.delete(block.key);
+            index = block.end;
+        }
+        edited.push(...lines.slice(index));
+        for (const [key, value] of changed) {
+            if (value !== null) {
+                edited.push(dumpYaml({ [key]: value }));
+            }
+        }
+
+        const text = edited.join('\n').trim() === '' ? '' : edited.join('\n');
+        if (parsesTo(text, expected)) {
+            return pageSource(text, content);
+        }
+    }
+    return stringifyPage(expected, content);
+}
+
+// The attributes of after that differ from before; removed ones are null
+function changedAttributes(before, after) {
+    const changes = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!(key in after)) {
+            changes[key] = null;
+        } else if (!isDeepStrictEqual(before[key], after[key])) {
+            changes[key] = after[key];
+        }
+    }
+    return changes;
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Write a page file. The new content is kept in the page's history first,
+ * so a failing history never loses a version.
+ */
+async function savePage(dataSet, pageName, filePath, source, reason) {
+    await keepOriginal(dataSet, pageName, filePath);
+    await recordRevision(dataSet, pageName, source, reason);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, source);
+}
+
+// Remove a page file, keeping its last content and the deletion in its history
+async function removePage(dataSet, pageName, filePath, reason) {
+    if (!await exists(filePath)) {
+        throw new CmsError('CONTENT_NOT_FOUND', `Page "${pageName}" not found in dataSet "${dataSet}"`, { dataSet, pageName });
+    }
+    await keepOriginal(dataSet, pageName, filePath);
+    await recordRevision(dataSet, pageName, null, reason);
+    await fs.unlink(filePath);
+}
+
+// Pages are .md files; other names would never be listed, built or shown
+function checkPageName(pageName) {
+    if (!pageName.endsWith('.md')) {
+        throw new CmsError('INVALID_NAME', `Page name must end in .md, got "${pageName}"`, { pageName });
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a page. Refuses to replace an existing file unless overwrite is
+ * set. frontmatter holds any attributes (title, template, alias, ...).
+ */
+export async function createPage({ dataSet = 'default', fileName, frontmatter = {}, copy, overwrite = false }) {
+    const contentDir = contentDirFor(dataSet);
+    const filePath = await resolveContentPath(dataSet, fileName);
+    checkPageName(fileName);
+
+    if (!overwrite && await exists(filePath)) {
+        throw new CmsError('PAGE_EXISTS', `Page "${fileName}" already exists; pass overwrite: true to replace it`, { pageName: fileName });
+    }
+
+    await savePage(dataSet, fileName, filePath, stringifyPage(frontmatter, copy), 'create_page');
+    debugLog(`Created new page at ${filePath}`);
+
+    return { filePath, dataSet, directory: contentDir };
+}
+
+/**
+ * Update a page. frontmatter is merged into the existing attributes (a
+ * null value removes the attribute); content replaces the body; patches
+ * ([{ find, replace, all }]) are applied to the body in order and each
+ * must match.
+ */
+export async function updatePage({ dataSet = 'default', pageName, frontmatter = {}, content, patches = [] }) {
+    const page = await readPage(dataSet, pageName);
+
+    const attributes = { ...page.attributes };
+    for (const [key, value] of Object.entries(frontmatter)) {
+        if (value === null) {
+            delete attributes[key];
+        } else {
+            attributes[key] = value;
+        }
+    }
+
+    let body = content !== undefined ? content : page.content;
+    for (const [index, patch] of patches.entries()) {
+        if (!patch || typeof patch.find !== 'string' || typeof patch.replace !== 'string') {
+            throw new CmsError('INVALID_PATCH', `Patch ${index + 1} needs "find" and "replace" strings`, { patch: index + 1 });
+        }
+        if (!body.includes(patch.find)) {
+            throw new CmsError('PATCH_NOT_MATCHED', `Patch ${index + 1} did not match: ${JSON.stringify(patch.find)}`, { patch: index + 1 });
+        }
+        body = patch.all ? body.split(patch.find).join(patch.replace) : body.replace(patch.find, () => patch.replace);
+    }
+
+    await savePage(dataSet, pageName, page.filePath, editPageSource(page.rawContent, frontmatter, body), 'update_page');
+    debugLog(`Updated page at ${page.filePath}`);
+
+    return { filePath: page.filePath, dataSet, attributes, content: body.trim() };
+}
+
+export async function deletePage({ dataSet = 'default', pageName }) {
+    const filePath = await resolveContentPath(dataSet, pageName);
+    await removePage(dataSet, pageName, filePath, 'delete_page');
+    debugLog(`Deleted page at ${filePath}`);
+
+    return { filePath, dataSet };
+}
+
+// Rewrite Markdown links and href attributes pointing at from to point at to
+function rewriteLinks(text, from, to) {
+    const pattern = new RegExp(`(\\]\\(\\s*<?|href=["'])(\\/?)${escapeRegExp(from)}(?=[)#?"'\\s>])`, 'g');
+    return text.replace(pattern, (match, prefix, slash) => `${prefix}${slash}${to}`);
+}
+
+/**
+ * Rename a page file. When alias is given it becomes the page's new alias.
+ * Links to the old URL or the old file name in the other pages of the
+ * dataSet, and frontmatter values equal to them, are updated. Every page
+ * is read and its new content worked out before the first write, so a page
+ * that cannot be parsed fails the rename without changing anything.
+ */
+export async function renamePage({ dataSet = 'default', pageName, newPageName, alias }) {
+    const page = await readPage(dataSet, pageName);
+    const newFilePath = await resolveContentPath(dataSet, newPageName);
+    checkPageName(newPageName);
+
+    if (await exists(newFilePath)) {
+        throw new CmsError('PAGE_EXISTS', `Page "${newPageName}" already exists`, { pageName: newPageName });
+    }
+
+    const attributes = { ...page.attributes };
+    if (alias !== undefined) {
+        attributes.alias = alias;
+    }
+    const oldUrl = outputNameFor(pageName, page.attributes);
+    const newUrl = outputNameFor(newPageName, attributes);
+    const source = alias !== undefined ? editPageSource(page.rawContent, { alias }, page.content) : page.rawContent;
+
+    const replacements = [[oldUrl, newUrl], [pageName, newPageName]].filter(([from, to]) => from !== to);
+    const updates = [];
+
+    for (const otherName of await listPageFiles(dataSet)) {
+        if (otherName === pageName) {
+            continue;
+        }
+
+        const other = await readPage(dataSet, otherName);
+        let body = other.content;
+        const otherAttributes = { ...other.attributes };
+        let changed = false;
+
+        for (const [from, to] of replacements) {
+            const rewritten = rewriteLinks(body, from, to);
+            changed = changed || rewritten !== body;
+            body = rewritten;
+
+            for (const [key, value] of Object.entries(otherAttributes)) {
+                if (value === from || value === `/${from}`) {
+                    otherAttributes[key] = value.startsWith('/') ? `/${to}` : to;
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            updates.push({ pageName: otherName, filePath: other.filePath, source: editPageSource(other.rawContent, changedAttributes(other.attributes, otherAttributes), body) });
+        }
+    }
+
+    await savePage(dataSet, newPageName, newFilePath, source, `rename_page from ${pageName}`);
+    await removePage(dataSet, pageName, page.filePath, `rename_page to ${newPageName}`);
+    debugLog(`Renamed page ${page.filePath} -> ${newFilePath}`);
+
+    for (const update of updates) {
+        await savePage(dataSet, update.pageName, update.filePath, update.source, `rename_page of ${pageName}`);
+        debugLog(`Updated references in ${update.filePath}`);
+    }
+
+    return {
+        filePath: newFilePath,
+        previousFilePath: page.filePath,
+        dataSet,
+        oldUrl,
+        newUrl,
+        updatedPages: updates.map(update => update.pageName),
+    };
+}
+
+/**
+ * Write a revision from the page's history back to the page file. The
+ * restore is itself a new revision, so it can be undone the same way.
+ */
+export async function restoreRevision({ dataSet = 'default', pageName, revision }) {
+    const restored = await loadRevision(dataSet, pageName, revision);
+    if (restored.deleted) {
+        throw new CmsError('REVISION_DELETED', `Revision ${revision} records the deletion of "${pageName}"; restore an earlier one`, { revision });
+    }
+    const filePath = await resolveContentPath(dataSet, pageName);
+    await savePage(dataSet, pageName, filePath, restored.source, `restore_revision ${revision}`);
+    debugLog(`Restored page ${filePath} to revision ${revision}`);
+
+    return { filePath, dataSet, revision, savedAt: restored.savedAt, hash: restored.hash };
+}
+
+// A date argument as a Date; null stays null so the attribute can be removed
+function dateArgument(value, name) {
+    if (value === null) {
+        return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new CmsError('INVALID_ARGUMENTS', `${name} must be a date like 2024-05-01 or 2024-05-01T12:00:00Z, got "${value}"`);
+    }
+    return date;
+}
+
+/**
+ * Publish a page: remove draft and set publishDate. Without publishDate a
+ * publishDate still ahead is moved to now, so the page goes live with the
+ * next build; a later publishDate schedules it instead. expiryDate is set
+ * when given and removed when null.
+ */
+export async function publishPage({ dataSet = 'default', pageName, publishDate, expiryDate }) {
+    const page = await readPage(dataSet, pageName);
+    const now = new Date();
+
+    const attributes = { ...page.attributes };
+    delete attributes.draft;
+    if (publishDate !== undefined) {
+        attributes.publishDate = dateArgument(publishDate, 'publishDate');
+    } else if (attributes.publishDate instanceof Date && attributes.publishDate > now) {
+        attributes.publishDate = now;
+    }
+    if (expiryDate !== undefined) {
+        attributes.expiryDate = dateArgument(expiryDate, 'expiryDate');
+    }
+    for (const key of ['publishDate', 'expiryDate']) {
+        if (attributes[key] === null) {
+            delete attributes[key];
+        }
+    }
+
+    const source = editPageSource(page.rawContent, changedAttributes(page.attributes, attributes), page.content);
+    await savePage(dataSet, pageName, page.filePath, source, 'publish_page');
+    debugLog(`Published page at ${page.filePath}`);
+
+    return {
+        filePath: page.filePath,
+        dataSet,
+        publication: publicationStatus(attributes, now),
+        publishDate: attributes.publishDate ?? null,
+        expiryDate: attributes.expiryDate ?? null,
+    };
+}
@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PAGES_DIR, DIST_DIR } from './config.js';
+
+/**
+ * Central path resolution. Every tool resolves user supplied names through
+ * here so it stays inside its own root:
+ *
+ *   src/content/<dataSet>          pages
+ *   src/decoration/<decoration>/   templates, components, markdown snippets
+ *   src/media                      media files
+ *   dist                           generated output
+ *
+ * Absolute paths, ".." segments and symlinks leading out of the root are
+ * rejected with a PathError carrying a machine readable code.
+ */
+
+export const CONTENT_ROOT = path.join(PAGES_DIR, 'content');
+export const DECORATION_ROOT = path.join(PAGES_DIR, 'decoration');
+export const MEDIA_ROOT = path.join(PAGES_DIR, 'media');
+export const DIST_ROOT = DIST_DIR;
+
+export class PathError extends Error {
+    constructor(code, message, { input = null, root = null } = {}) {
+        super(message);
+        this.name = 'PathError';
+        this.code = code;
+        this.input = input;
+        this.root = root;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, input: this.input };
+    }
+}
+
+function checkRelative(input, label) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        throw new PathError('EMPTY_PATH', `${label} must be a non-empty string`, { input });
+    }
+    if (input.includes('\0')) {
+        throw new PathError('INVALID_PATH', `${label} contains a NUL byte`, { input });
+    }
+    if (path.isAbsolute(input) || path.win32.isAbsolute(input)) {
+        throw new PathError('ABSOLUTE_PATH', `${label} must be relative, got "${input}"`, { input });
+    }
+    if (input.split(/[\\/]+/).includes('..')) {
+        throw new PathError('PARENT_SEGMENT', `${label} must not contain ".." segments, got "${input}"`, { input });
+    }
+}
+
+/**
+ * Validate a single path segment such as a dataSet, decoration or
+ * component name and return it.
+ */
+export function safeSegment(input, label = 'name') {
+    checkRelative(input, label);
+    if (/[\\/]/.test(input) || input === '.') {
+        throw new PathError('INVALID_NAME', `${label} must be a plain name without slashes, got "${input}"`, { input });
+    }
+    return input;
+}
+
+// Real path of the deepest existing ancestor of target, plus the rest
+async function realPathOf(target) {
+    const missing = [];
+    let current = target;
+
+    for (;;) {
+        try {
+            const real = await fs.realpath(current);
+            return path.join(real, ...missing.reverse());
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== 'ENOENT' || parent === current) {
+                return target;
+            }
+            missing.push(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolve a relative path inside root. Symlinks are followed and the real
+ * location must still be inside the real root.
+ */
+export async function resolveWithin(root, input, label = 'path') {
+    checkRelative(input, label);
+
+    const target = path.resolve(root, input);
+    if (!isInside(root, target)) {
+        throw new PathError('OUTSIDE_ROOT', `${label} resolves outside ${root}`, { input, root });
+    }
+
+    const realRoot = await realPathOf(root);
+    const realTarget = await realPathOf(target);
+    if (!isInside(realRoot, realTarget)) {
+        throw new PathError('SYMLINK_ESCAPE', `${label} leads outside ${root} through a symlink`, { input, root });
+    }
+
+    return target;
+}
+
+export function contentDirPath(dataSet = 'default') {
+    return path.join(CONTENT_ROOT, safeSegment(dataSet, 'dataSet'));
+}
+
+// The src/content/<dataSet> directory
+export async function resolveContentDir(dataSet = 'default') {
+    return resolveWithin(CONTENT_ROOT, safeSegment(dataSet, 'dataSet'), 'dataSet');
+}
+
+// A page (or other file) inside src/content/<dataSet>
+export async function resolveContentPath(dataSet, fileName) {
+    return resolveWithin(await resolveContentDir(dataSet), fileName, 'page name');
+}
+
+// A file inside src/decoration/<decoration>/<area> (templates, components, markdown)
+export async function resolveDecorationPath(decoration, area, fileName = null) {
+    const decorationDir = await resolveWithin(DECORATION_ROOT, safeSegment(decoration, 'decoration'), 'decoration');
+    const areaDir = await resolveWithin(decorationDir, area, 'decoration area');
+    return fileName === null ? areaDir : resolveWithin(areaDir, fileName, `${area.replace(/s$/, '')} name`);
+}
+
+// A file inside dist
+export async function resolveDistPath(fileName) {
+    return resolveWithin(DIST_ROOT, fileName, 'file name');
+}
+
+// Whether a path found while walking a root really lives inside it
+export async function isWithinRoot(root, target) {
+    return isInside(await realPathOf(root), await realPathOf(target));
+}
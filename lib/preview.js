@@ -0,0 +1,348 @@
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { createReadStream } from 'fs';
+import { DIST_DIR } from './config.js';
+import { debugLog } from './log.js';
+import { PathError, resolveWithin } from './paths.js';
+import { previewPage } from './build.js';
+import { listPageFiles, readPage, outputNameFor, publicationStatus } from './content.js';
+import { runAudited } from './audit.js';
+import { watchSite, WATCH_ACTOR } from './watch.js';
+import buildSiteTool from './tools/build-site.js';
+import copyMediaTool from './tools/copy-media.js';
+
+// Preview web servers for the dist folder, tracked by port
+
+export const LIVE_RELOAD_PATH = '/__pinkfrog/livereload';
+
+// Injected into HTML responses of watching servers only; never written to dist
+const LIVE_RELOAD_SCRIPT = `<script>
+(() => {
+    const source = new EventSource('${LIVE_RELOAD_PATH}');
+    source.addEventListener('reload', () => location.reload());
+})();
+</script>`;
+
+export const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.rss': 'application/rss+xml; charset=utf-8',
+    '.atom': 'application/atom+xml; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.bmp': 'image/bmp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogv': 'video/ogg',
+    '.mov': 'video/quicktime',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/mp4',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.wasm': 'application/wasm',
+};
+
+const servers = new Map();
+
+export function contentTypeFor(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+async function statOrNull(filePath) {
+    try {
+        return await fs.stat(filePath);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Map a request path onto a file in root: directories serve their
+ * index.html and extensionless paths fall back to <path>.html.
+ * Returns null when nothing matches.
+ */
+async function findFile(root, pathname) {
+    const relative = pathname.replace(/^\/+/, '');
+    let filePath = relative ? await resolveWithin(root, relative, 'request path') : root;
+    let stats = await statOrNull(filePath);
+
+    if (stats && stats.isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+        stats = await statOrNull(filePath);
+    } else if (!stats && !path.extname(filePath)) {
+        filePath += '.html';
+        stats = await statOrNull(filePath);
+    }
+
+    return stats && stats.isFile() ? filePath : null;
+}
+
+/**
+ * The page of dataSet that is not published and would be written to
+ * pathname, rendered with the draft banner, or null.
+ */
+async function renderUnpublished(dataSet, pathname) {
+    const relative = pathname.replace(/^\/+/, '');
+    const candidates = relative
+        ? [relative, `${relative}.html`, path.posix.join(relative, 'index.html')]
+        : ['index.html'];
+
+    for (const pageName of await listPageFiles(dataSet)) {
+        let page;
+        try {
+            page = await readPage(dataSet, pageName);
+        } catch (error) {
+            continue;
+        }
+        if (publicationStatus(page.attributes) !== 'published'
+            && candidates.includes(outputNameFor(pageName, page.attributes))) {
+            return (await previewPage({ dataSet, pageName })).html;
+        }
+    }
+    return null;
+}
+
+// Send HTML that is not a file in dist as is, or with the reload script
+function sendHtml(req, res, statusCode, html, liveReload) {
+    const body = !liveReload
+        ? html
+        : html.includes('</body>')
+            ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${LIVE_RELOAD_SCRIPT}\n</body>`)
+            : html + LIVE_RELOAD_SCRIPT;
+    res.writeHead(statusCode, { 'Content-Type': MIME_TYPES['.html'], 'Cache-Control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+async function sendFile(req, res, statusCode, filePath, liveReload) {
+    const contentType = contentTypeFor(filePath);
+
+    if (liveReload && contentType.startsWith('text/html')) {
+        sendHtml(req, res, statusCode, await fs.readFile(filePath, 'utf8'), liveReload);
+        return;
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': contentType });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    createReadStream(filePath).pipe(res);
+}
+
+// Keep an EventSource connection open until the browser or server closes it
+function openLiveReload(req, res, clients) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive',
+    });
+    res.write('retry: 1000\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+}
+
+function sendText(res, statusCode, text) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+/**
+ * Request handler serving files from root. With liveReload (a Set that
+ * collects the open EventSource responses) HTML gets the reload script.
+ * With drafts (a dataSet name) paths that are not in root are looked up
+ * among the drafts, scheduled and expired pages of the dataSet, which are
+ * rendered on request with a banner and never written to root.
+ */
+export function createStaticHandler(root, { liveReload = null, drafts = null } = {}) {
+    return async (req, res) => {
+        try {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.setHeader('Allow', 'GET, HEAD');
+                sendText(res, 405, '405 Method Not Allowed');
+                return;
+            }
+
+            let pathname;
+            try {
+                pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+            } catch (error) {
+                sendText(res, 400, '400 Bad Request');
+                return;
+            }
+
+            if (liveReload && pathname === LIVE_RELOAD_PATH) {
+                openLiveReload(req, res, liveReload);
+                return;
+            }
+
+            const filePath = await findFile(root, pathname);
+            if (filePath) {
+                await sendFile(req, res, 200, filePath, liveReload);
+                return;
+            }
+
+            const draft = drafts ? await renderUnpublished(drafts, pathname) : null;
+            if (draft !== null) {
+                sendHtml(req, res, 200, draft, liveReload);
+                return;
+            }
+
+            const notFoundPage = path.join(root, '404.html');
+            if (await statOrNull(notFoundPage)) {
+                await sendFile(req, res, 404, notFoundPage, liveReload);
+            } else {
+                sendText(res, 404, '404 Not Found');
+            }
+        } catch (error) {
+            if (error instanceof PathError) {
+                sendText(res, 403, '403 Forbidden');
+                return;
+            }
+            sendText(res, 500, `Server Error: ${error.message}`);
+        }
+    };
+}
+
+// JSON friendly description of a registered server
+function describe(entry) {
+    return {
+        port: entry.port,
+        url: entry.url,
+        distDir: entry.distDir,
+        startedAt: entry.startedAt,
+        watch: Boolean(entry.watcher),
+        drafts: entry.drafts !== null,
+        dataSet: entry.watcher ? entry.watcher.dataSet : entry.drafts,
+        watching: entry.watcher ? entry.watcher.directories : [],
+        liveReloadClients: entry.clients ? entry.clients.size : 0,
+    };
+}
+
+// Tell every open browser to reload
+function broadcastReload(clients, data) {
+    for (const client of clients) {
+        client.write(`event: reload\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+/**
+ * Start a preview server for dist on port. A port that already has a
+ * preview server returns it instead of starting a second one.
+ *
+ * With watch the dataSet is built once, then rebuilt as its content,
+ * decoration and media change, and open browsers reload after each
+ * rebuild. With drafts the unpublished pages of the dataSet are served
+ * too, marked with a banner, without being built.
+ */
+export async function startPreviewServer({ port = 8080, watch = false, drafts = false, dataSet = 'default' } = {}) {
+    if (servers.has(port)) {
+        return { ...describe(servers.get(port)), alreadyRunning: true };
+    }
+
+    let clients = null;
+    let watcher = null;
+    if (watch) {
+        await fs.mkdir(DIST_DIR, { recursive: true });
+        await runAudited(buildSiteTool, { dataSet, force: false }, WATCH_ACTOR);
+        await runAudited(copyMediaTool, { force: false }, WATCH_ACTOR)
+            .catch(error => debugLog(`Error copying media files: ${error.message}`));
+
+        clients = new Set();
+        watcher = await watchSite({
+            dataSet,
+            onRebuild: ({ report, media }) => broadcastReload(clients, {
+                pages: report ? report.pages.map(page => page.pageName) : [],
+                media: Boolean(media),
+            }),
+        });
+    } else {
+        await fs.access(DIST_DIR).catch(() => {
+            throw new Error(`Dist directory ${DIST_DIR} does not exist`);
+        });
+    }
+
+    const draftsDataSet = drafts ? dataSet : null;
+    const server = http.createServer(createStaticHandler(DIST_DIR, { liveReload: clients, drafts: draftsDataSet }));
+    try {
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => {
+                server.off('error', reject);
+                resolve();
+            });
+        });
+    } catch (error) {
+        if (watcher) {
+            await watcher.close();
+        }
+        throw error;
+    }
+
+    const entry = {
+        server,
+        watcher,
+        clients,
+        drafts: draftsDataSet,
+        port,
+        url: `http://localhost:${port}/`,
+        distDir: DIST_DIR,
+        startedAt: new Date().toISOString(),
+    };
+    servers.set(port, entry);
+    debugLog(`Server running at ${entry.url}`);
+
+    return { ...describe(entry), alreadyRunning: false };
+}
+
+// Stop the preview server on port, or every preview server without a port
+export async function stopPreviewServer({ port } = {}) {
+    const ports = port === undefined ? [...servers.keys()] : [port];
+    const stopped = [];
+
+    for (const current of ports) {
+        const entry = servers.get(current);
+        if (!entry) {
+            throw new Error(`No preview server is running on port ${current}`);
+        }
+        if (entry.watcher) {
+            await entry.watcher.close();
+            entry.clients.forEach(client => client.end());
+        }
+        const closed = new Promise(resolve => entry.server.close(resolve));
+        entry.server.closeAllConnections();
+        await closed;
+        servers.delete(current);
+        stopped.push(current);
+        debugLog(`Stopped server on port ${current}`);
+    }
+
+    return stopped;
+}
+
+export function previewServerStatus() {
+    return [...servers.values()].map(describe);
+}
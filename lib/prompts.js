@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import { parseFrontmatter, getDecoration } from './content.js';
+import { CmsError } from './errors.js';
+import { componentUri, readResource } from './resources.js';
+
+// MCP prompts: the static site workflow and writing a page with a component
+
+const GENERATE_STATIC_WORKFLOW = new URL('../.windsurf/workflows/generate-static.md', import.meta.url);
+
+export const PROMPTS = [
+    {
+        name: 'generate-static',
+        description: 'Generate the static site in dist and preview it',
+        arguments: [
+            { name: 'dataSet', description: 'DataSet to build (default: "default")', required: false },
+        ],
+    },
+    {
+        name: 'write-page',
+        description: 'Write a new page using a component of the decoration',
+        arguments: [
+            { name: 'component', description: 'Name of the component to use', required: true },
+            { name: 'pageName', description: 'File name of the new page, e.g. "about.md"', required: false },
+            { name: 'topic', description: 'What the page is about', required: false },
+            { name: 'dataSet', description: 'DataSet to create the page in (default: "default")', required: false },
+        ],
+    },
+];
+
+function userText(text) {
+    return { role: 'user', content: { type: 'text', text } };
+}
+
+async function generateStatic({ dataSet = 'default' }) {
+    const { attributes, content } = parseFrontmatter(await fs.readFile(GENERATE_STATIC_WORKFLOW, 'utf8'));
+    const text = `${content}\n\nPass dataSet "${dataSet}" to the tools that take one.`;
+
+    return {
+        description: attributes.description || 'Generate static site',
+        messages: [userText(text)],
+    };
+}
+
+async function writePage({ component, pageName, topic, dataSet = 'default' }) {
+    if (!component) {
+        throw new CmsError('INVALID_ARGUMENTS', 'The write-page prompt needs a component');
+    }
+    const uri = componentUri(await getDecoration(), component);
+    const [resource] = await readResource(uri);
+
+    const target = pageName ? `a new page "${pageName}"` : 'a new page (choose a short kebab-case file name ending in .md)';
+    const text = [
+        `Write ${target} in dataSet "${dataSet}"${topic ? ` about: ${topic}` : ''}.`,
+        '',
+        `Use the "${component}" component attached below. Wrap its Markdown in a component block:`,
+        '',
+        '<!--',
+        `component: ${component}`,
+        '-->',
+        '...Markdown...',
+        '<!--',
+        ';',
+        '-->',
+        '',
+        'Follow example.md for the order and kind of blocks, and schema.yml (when present) for the fields each block fills.',
+        'Give the page a title in its frontmatter.',
+        '',
+        'Then:',
+        '1. Create the page with the "create_page" tool.',
+        '2. Check it with "validate_page" and fix any missing or extra fields with "update_page".',
+        '3. Render it with "build_site" and review the output.',
+    ].join('\n');
+
+    return {
+        description: `Write a page using the ${component} component`,
+        messages: [
+            userText(text),
+            { role: 'user', content: { type: 'resource', resource } },
+        ],
+    };
+}
+
+const HANDLERS = {
+    'generate-static': generateStatic,
+    'write-page': writePage,
+};
+
+export async function getPrompt(name, args = {}) {
+    const handler = HANDLERS[name];
+    if (!handler) {
+        throw new CmsError('UNKNOWN_PROMPT', `Unknown prompt: ${name}`);
+    }
+    return handler(args);
+}
@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import Ajv from 'ajv';
+import { PLUGINS_DIR } from './config.js';
+import { debugLog } from './log.js';
+import { describeError, CmsError } from './errors.js';
+import { ROLES, roleAllows } from './auth.js';
+import { auditCall } from './audit.js';
+import { BUILTIN_TOOLS } from './tools/index.js';
+
+/**
+ * Tools are plain objects:
+ *
+ *   {
+ *     name: 'list_pages',
+ *     description: 'List all available pages',
+ *     role: 'viewer',
+ *     inputSchema: { type: 'object', properties: { ... } },
+ *     audit: { paths: async args => [...] },
+ *     async handler(args, context) { return { success: true, ... }; },
+ *   }
+ *
+ * The registry validates arguments against inputSchema (filling in
+ * defaults) before calling the handler. A handler reports failure by
+ * throwing, preferably a CmsError with a code, or by returning an object
+ * with success: false.
+ *
+ * role is the least role allowed to call the tool: viewer (reads only),
+ * editor (changes pages) or publisher (writes dist). Tools without one
+ * are publisher tools.
+ *
+ * Tools that change files set audit.paths to the files or directories a
+ * call may change; their calls are written to the audit log (lib/audit.js).
+ */
+
+const TOOL_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+function checkTool(tool) {
+    if (!tool || typeof tool !== 'object') {
+        throw new Error('A tool must be an object');
+    }
+    if (typeof tool.name !== 'string' || !TOOL_NAME.test(tool.name)) {
+        throw new Error(`Invalid tool name: ${JSON.stringify(tool.name)}`);
+    }
+    if (typeof tool.handler !== 'function') {
+        throw new Error(`Tool "${tool.name}" needs a handler function`);
+    }
+    if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+        throw new Error(`Tool "${tool.name}" needs an inputSchema of type "object"`);
+    }
+    if (tool.role !== undefined && !ROLES.includes(tool.role)) {
+        throw new Error(`Tool "${tool.name}" has an unknown role "${tool.role}"`);
+    }
+    if (tool.audit !== undefined && typeof tool.audit.paths !== 'function') {
+        throw new Error(`Tool "${tool.name}" needs an audit.paths function`);
+    }
+}
+
+// Validation errors as { path, message } pairs
+function formatValidationErrors(errors) {
+    return errors.map(error => ({
+        path: error.dataPath || '/',
+        message: error.params && error.params.additionalProperty
+            ? `unknown argument "${error.params.additionalProperty}"`
+            : error.message,
+    }));
+}
+
+function failure(tool, error, fallbackCode) {
+    const described = describeError(error, fallbackCode);
+    return {
+        ok: false,
+        result: { success: false, message: described.message, tool, error: described },
+    };
+}
+
+export function createToolRegistry() {
+    const ajv = new Ajv({ allErrors: true, useDefaults: true });
+    const tools = new Map();
+
+    const registry = {
+        /**
+         * Add a tool. source names where it came from in error messages.
+         * Throws on an invalid tool or a name already taken.
+         */
+        register(tool, { source = 'builtin' } = {}) {
+            checkTool(tool);
+            if (tools.has(tool.name)) {
+                throw new Error(`Tool "${tool.name}" is already registered by ${tools.get(tool.name).source}`);
+            }
+            const validate = ajv.compile(tool.inputSchema);
+            tools.set(tool.name, { tool, validate, source, role: tool.role || 'publisher' });
+        },
+
+        has(name) {
+            return tools.has(name);
+        },
+
+        // Tool definitions as MCP lists them; the role goes in _meta
+        list() {
+            return [...tools.values()].map(({ tool, role }) => ({
+                name: tool.name,
+                description: tool.description || '',
+                inputSchema: tool.inputSchema,
+                annotations: { readOnlyHint: role === 'viewer' },
+                _meta: { 'pinkfrog/role': role },
+            }));
+        },
+
+        /**
+         * Validate args and run the tool. Resolves to { ok, result } where
+         * result is the handler's object, or on failure
+         * { success: false, message, tool, error: { code, message, ... } }.
+         * With context.role, tools needing a higher role fail with FORBIDDEN.
+         */
+        async call(name, args = {}, context = {}) {
+            const entry = tools.get(name);
+            if (!entry) {
+                return failure(name, { message: `Unknown tool: ${name}` }, 'UNKNOWN_TOOL');
+            }
+            if (context.role !== undefined && !roleAllows(context.role, entry.role)) {
+                return failure(name, new CmsError('FORBIDDEN', `The ${context.role} role may not use ${name}; it needs ${entry.role}`, { role: entry.role }));
+            }
+
+            const input = structuredClone(args ?? {});
+            if (!entry.validate(input)) {
+                const errors = formatValidationErrors(entry.validate.errors);
+                return {
+                    ok: false,
+                    result: {
+                        success: false,
+                        message: `Invalid arguments for ${name}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+                        tool: name,
+                        error: { code: 'INVALID_ARGUMENTS', message: 'Arguments do not match the input schema', errors },
+                    },
+                };
+            }
+
+            const run = async () => {
+                try {
+                    debugLog(`Processing ${name} request`, input);
+                    const result = await entry.tool.handler(input, { ...context, registry });
+                    return { ok: !result || result.success !== false, result: result ?? { success: true } };
+                } catch (error) {
+                    debugLog(`Error in ${name}:`, error.message);
+                    return failure(name, error, 'TOOL_FAILED');
+                }
+            };
+            return entry.tool.audit ? auditCall(entry.tool, structuredClone(input), context, run) : run();
+        },
+    };
+
+    return registry;
+}
+
+// An MCP CallTool result for a registry outcome
+export function toCallToolResult({ ok, result }) {
+    return {
+        content: [{ type: 'text', text: JSON.stringify(result) }],
+        ...(ok ? {} : { isError: true }),
+    };
+}
+
+/**
+ * Import the tools of every plugin in dir. A plugin is a .js or .mjs file,
+ * or a directory with an index.js, whose default export is a tool or an
+ * array of tools. Broken plugins are logged and skipped.
+ */
+export async function loadPlugins(registry, dir = PLUGINS_DIR) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+
+    const loaded = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const file = entry.isDirectory()
+            ? path.join(dir, entry.name, 'index.js')
+            : /\.m?js$/.test(entry.name) ? path.join(dir, entry.name) : null;
+        if (!file) {
+            continue;
+        }
+
+        try {
+            const module = await import(pathToFileURL(file).href);
+            const exported = module.default;
+            for (const tool of Array.isArray(exported) ? exported : [exported]) {
+                registry.register(tool, { source: `plugin ${entry.name}` });
+                loaded.push({ plugin: entry.name, tool: tool.name });
+                debugLog(`Loaded tool ${tool.name} from plugin ${entry.name}`);
+            }
+        } catch (error) {
+            debugLog(`Error loading plugin ${entry.name}:`, error.message);
+        }
+    }
+
+    return loaded;
+}
+
+// A registry with the built-in tools and the tools of the plugins directory
+export async function createDefaultRegistry({ pluginsDir = PLUGINS_DIR } = {}) {
+    const registry = createToolRegistry();
+    for (const tool of BUILTIN_TOOLS) {
+        registry.register(tool);
+    }
+    await loadPlugins(registry, pluginsDir);
+    return registry;
+}
@@ -0,0 +1,231 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { debugLog } from './log.js';
+import { CmsError } from './errors.js';
+import { CONTENT_ROOT, DECORATION_ROOT, safeSegment, resolveContentPath, resolveDecorationPath } from './paths.js';
+
+/**
+ * Pages, templates and components as MCP resources:
+ *
+ *   pinkfrog://content/{dataSet}/{page}                     page Markdown
+ *   pinkfrog://decoration/{decoration}/templates/{name}     page template
+ *   pinkfrog://decoration/{decoration}/components/{name}    component files as JSON
+ */
+
+const SCHEME = 'pinkfrog://';
+const WATCH_DEBOUNCE_MS = 100;
+
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: `${SCHEME}content/{dataSet}/{page}`,
+        name: 'Page',
+        description: 'A Markdown page with its frontmatter',
+        mimeType: 'text/markdown',
+    },
+    {
+        uriTemplate: `${SCHEME}decoration/{decoration}/templates/{name}`,
+        name: 'Template',
+        description: 'An HTML page template of a decoration',
+        mimeType: 'text/html',
+    },
+    {
+        uriTemplate: `${SCHEME}decoration/{decoration}/components/{name}`,
+        name: 'Component',
+        description: 'A component: template.html, schema.yml, example.md and example.html',
+        mimeType: 'application/json',
+    },
+];
+
+export function pageUri(dataSet, pageName) {
+    return `${SCHEME}content/${encodeURIComponent(dataSet)}/${encodeURIComponent(pageName)}`;
+}
+
+export function templateUri(decoration, name) {
+    return `${SCHEME}decoration/${encodeURIComponent(decoration)}/templates/${encodeURIComponent(name)}`;
+}
+
+export function componentUri(decoration, name) {
+    return `${SCHEME}decoration/${encodeURIComponent(decoration)}/components/${encodeURIComponent(name)}`;
+}
+
+// Split a pinkfrog:// URI into its kind and names; throws on anything else
+function parseUri(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(SCHEME)) {
+        throw new CmsError('RESOURCE_NOT_FOUND', `Unknown resource: ${uri}`, { uri });
+    }
+
+    let parts;
+    try {
+        parts = uri.slice(SCHEME.length).split('/').map(decodeURIComponent);
+    } catch (error) {
+        throw new CmsError('RESOURCE_NOT_FOUND', `Malformed resource URI: ${uri}`, { uri });
+    }
+
+    if (parts.length === 3 && parts[0] === 'content') {
+        return { kind: 'page', dataSet: parts[1], name: parts[2] };
+    }
+    if (parts.length === 4 && parts[0] === 'decoration' && parts[2] === 'templates') {
+        return { kind: 'template', decoration: parts[1], name: parts[3] };
+    }
+    if (parts.length === 4 && parts[0] === 'decoration' && parts[2] === 'components') {
+        return { kind: 'component', decoration: parts[1], name: parts[3] };
+    }
+    throw new CmsError('RESOURCE_NOT_FOUND', `Unknown resource: ${uri}`, { uri });
+}
+
+async function readOptional(filePath) {
+    return fsp.readFile(filePath, 'utf8').catch(() => null);
+}
+
+async function directories(dir) {
+    const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+}
+
+async function files(dir, filter = () => true) {
+    const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+    return entries.filter(entry => entry.isFile() && filter(entry.name)).map(entry => entry.name).sort();
+}
+
+// Every page of every dataSet and every template and component of every decoration
+export async function listResources() {
+    const resources = [];
+
+    for (const dataSet of await directories(CONTENT_ROOT)) {
+        for (const page of await files(path.join(CONTENT_ROOT, dataSet), name => name.endsWith('.md'))) {
+            resources.push({ uri: pageUri(dataSet, page), name: `${dataSet}/${page}`, mimeType: 'text/markdown' });
+        }
+    }
+
+    for (const decoration of await directories(DECORATION_ROOT)) {
+        const decorationDir = path.join(DECORATION_ROOT, decoration);
+        for (const template of await files(path.join(decorationDir, 'templates'))) {
+            resources.push({ uri: templateUri(decoration, template), name: `${decoration} template ${template}`, mimeType: 'text/html' });
+        }
+        for (const component of await directories(path.join(decorationDir, 'components'))) {
+            resources.push({ uri: componentUri(decoration, component), name: `${decoration} component ${component}`, mimeType: 'application/json' });
+        }
+    }
+
+    return resources;
+}
+
+/**
+ * The contents of a resource as MCP returns them. Names go through the
+ * same path checks as the tools.
+ */
+export async function readResource(uri) {
+    const target = parseUri(uri);
+
+    if (target.kind === 'page') {
+        const filePath = await resolveContentPath(target.dataSet, target.name);
+        const text = await readOptional(filePath);
+        if (text === null) {
+            throw new CmsError('RESOURCE_NOT_FOUND', `Page "${target.name}" not found in dataSet "${target.dataSet}"`, { uri });
+        }
+        return [{ uri, mimeType: 'text/markdown', text }];
+    }
+
+    if (target.kind === 'template') {
+        const text = await readOptional(await resolveDecorationPath(target.decoration, 'templates', target.name));
+        if (text === null) {
+            throw new CmsError('RESOURCE_NOT_FOUND', `Template "${target.name}" not found in decoration "${target.decoration}"`, { uri });
+        }
+        return [{ uri, mimeType: 'text/html', text }];
+    }
+
+    const componentDir = await resolveDecorationPath(target.decoration, 'components', safeSegment(target.name, 'component'));
+    const template = await readOptional(path.join(componentDir, 'template.html'));
+    if (template === null) {
+        throw new CmsError('RESOURCE_NOT_FOUND', `Component "${target.name}" not found in decoration "${target.decoration}"`, { uri });
+    }
+    const component = {
+        component: target.name,
+        decoration: target.decoration,
+        template,
+        schema: await readOptional(path.join(componentDir, 'schema.yml')),
+        exampleMd: await readOptional(path.join(componentDir, 'example.md')),
+        exampleHtml: await readOptional(path.join(componentDir, 'example.html')),
+    };
+    return [{ uri, mimeType: 'application/json', text: JSON.stringify(component, null, 2) }];
+}
+
+// The resource URI a changed file belongs to, or null
+function uriForFile(area, file) {
+    const parts = file.split(path.sep);
+
+    if (area === 'content') {
+        return parts.length === 2 && parts[1].endsWith('.md') ? pageUri(parts[0], parts[1]) : null;
+    }
+    if (parts[1] === 'templates' && parts.length === 3) {
+        return templateUri(parts[0], parts[2]);
+    }
+    if (parts[1] === 'components' && parts.length >= 3) {
+        return componentUri(parts[0], parts[2]);
+    }
+    return null;
+}
+
+const listeners = new Set();
+let watchers = [];
+let pending = new Map();
+let timer = null;
+
+function flush() {
+    const changes = [...pending.values()];
+    pending = new Map();
+    timer = null;
+
+    for (const listener of listeners) {
+        for (const change of changes) {
+            try {
+                listener(change);
+            } catch (error) {
+                debugLog('Error in resource listener:', error.message);
+            }
+        }
+    }
+}
+
+function startWatching() {
+    for (const [area, root] of [['content', CONTENT_ROOT], ['decoration', DECORATION_ROOT]]) {
+        try {
+            watchers.push(fs.watch(root, { recursive: true }, (eventType, fileName) => {
+                const uri = fileName ? uriForFile(area, fileName.toString()) : null;
+                if (!uri) {
+                    return;
+                }
+                // A rename (create or delete) also changes the resource list
+                const previous = pending.get(uri);
+                pending.set(uri, { uri, listChanged: eventType === 'rename' || Boolean(previous && previous.listChanged) });
+                clearTimeout(timer);
+                timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+            }));
+        } catch (error) {
+            debugLog(`Cannot watch ${root}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Call listener({ uri, listChanged }) when a resource file changes.
+ * Watching starts with the first listener and stops with the last.
+ * Returns a function removing the listener.
+ */
+export function watchResources(listener) {
+    if (listeners.size === 0) {
+        startWatching();
+    }
+    listeners.add(listener);
+
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+            clearTimeout(timer);
+            pending = new Map();
+            watchers.forEach(watcher => watcher.close());
+            watchers = [];
+        }
+    };
+}
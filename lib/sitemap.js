@@ -0,0 +1,331 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DIST_DIR } from './config.js';
+import { debugLog } from './log.js';
+import { loadSettings, listPageFiles, readPage, outputNameFor, publicationStatus, FrontmatterError } from './content.js';
+import { loadCollectionPages, collectionListings } from './collections.js';
+import { escapeXml } from './template.js';
+import { siteBaseUrl, siteUrl } from './urls.js';
+import { CmsError } from './errors.js';
+
+/**
+ * sitemap.xml and robots.txt for the pages of one or more dataSets.
+ *
+ * Pages can tune their entry in the frontmatter:
+ *
+ *   updated: 2024-05-01       # lastmod (default: the file's modification time)
+ *   sitemap:
+ *     priority: 0.5           # 0.0 to 1.0 (default: 1.0 for index.html, 0.8 otherwise)
+ *     changefreq: monthly     # always, hourly, daily, weekly, monthly, yearly or never
+ *
+ * and sitemap: false leaves a page out. Several dataSets are the language
+ * versions of one site; settings.yml gives each its URL and language:
+ *
+ *   dataSets:
+ *     default: { baseUrl: https://example.com/, lang: en }
+ *     de: { baseUrl: https://example.com/de/, lang: de }
+ *
+ * Pages with the same name in several dataSets are each other's hreflang
+ * alternates. Past MAX_SITEMAP_URLS the URLs are split into
+ * sitemap-<n>.xml files listed by a sitemap index in sitemap.xml.
+ */
+
+export const MAX_SITEMAP_URLS = 50000;
+
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+const SPLIT_SITEMAP = /^sitemap-\d+\.xml$/;
+
+// The sitemap entry settings of a page: null when it is left out
+function sitemapOptions(pageName, outputName, option) {
+    if (option === false) {
+        return null;
+    }
+    const defaults = { priority: outputName === 'index.html' ? 1 : 0.8, changefreq: 'weekly' };
+    if (option === undefined || option === null || option === true) {
+        return defaults;
+    }
+    if (typeof option !== 'object' || Array.isArray(option)) {
+        throw new CmsError('INVALID_FRONTMATTER', 'sitemap must be false or a map with priority and changefreq', { pageName });
+    }
+    const { priority = defaults.priority, changefreq = defaults.changefreq } = option;
+    if (typeof priority !== 'number' || priority < 0 || priority > 1) {
+        throw new CmsError('INVALID_FRONTMATTER', `sitemap.priority must be a number from 0.0 to 1.0, got: ${priority}`, { pageName });
+    }
+    if (!CHANGEFREQS.includes(changefreq)) {
+        throw new CmsError('INVALID_FRONTMATTER', `sitemap.changefreq must be one of ${CHANGEFREQS.join(', ')}, got: ${changefreq}`, { pageName });
+    }
+    return { priority, changefreq };
+}
+
+/**
+ * The dataSets of a sitemap with their base URL and language. The first
+ * is the main site: its baseUrl is the argument, then dataSets.<name>.baseUrl,
+ * then baseUrl in settings.yml. The others default to <name>/ below it.
+ */
+function sitemapSites(dataSets, baseUrl, settings) {
+    const configs = settings.dataSets ?? {};
+    if (typeof configs !== 'object' || Array.isArray(configs)) {
+        throw new FrontmatterError('dataSets must be a map of dataSet names to baseUrl and lang', { file: 'settings.yml' });
+    }
+
+    const sites = [];
+    for (const [index, dataSet] of dataSets.entries()) {
+        const config = configs[dataSet] ?? {};
+        sites.push({
+            dataSet,
+            baseUrl: index === 0
+                ? siteBaseUrl(baseUrl ?? config.baseUrl ?? settings.baseUrl, 'The sitemap')
+                : siteBaseUrl(config.baseUrl ?? siteUrl(`${dataSet}/`, sites[0].baseUrl), 'The sitemap'),
+            lang: config.lang ? String(config.lang) : null,
+        });
+    }
+    return sites;
+}
+
+/**
+ * The URLs of the published pages of a site, then of its collection
+ * listings. Pages that cannot be read or have an invalid sitemap setting
+ * are added to skipped.
+ */
+async function siteUrls(site, now, skipped) {
+    const { dataSet, baseUrl } = site;
+    const pageNames = await listPageFiles(dataSet).catch(error => {
+        if (error instanceof FrontmatterError) {
+            throw error;
+        }
+        throw new CmsError('CONTENT_NOT_FOUND', `Error reading pages directory: ${error.message}`, { dataSet });
+    });
+
+    const urls = [];
+    const lastmods = new Map();
+    for (const pageName of pageNames) {
+        try {
+            const page = await readPage(dataSet, pageName);
+            if (publicationStatus(page.attributes, now) !== 'published') {
+                continue;
+            }
+            const lastmod = page.attributes.updated instanceof Date
+                ? page.attributes.updated
+                : (await fs.stat(page.filePath)).mtime;
+            lastmods.set(pageName, lastmod);
+
+            const outputName = outputNameFor(pageName, page.attributes);
+            const options = sitemapOptions(pageName, outputName, page.attributes.sitemap);
+            if (options === null) {
+                continue;
+            }
+            urls.push({ key: `page:${pageName}`, dataSet, loc: siteUrl(outputName, baseUrl), lastmod, ...options });
+        } catch (error) {
+            debugLog(`Error processing page ${pageName} for sitemap: ${error.message}`);
+            skipped.push({ dataSet, pageName, message: error.message });
+        }
+    }
+
+    // A listing changed when the newest of its pages did
+    for (const collection of await loadCollectionPages(dataSet, now)) {
+        for (const listing of collectionListings(collection)) {
+            const times = listing.pages.map(page => lastmods.get(page.pageName)).filter(Boolean);
+            urls.push({
+                key: `listing:${listing.outputName}`,
+                dataSet,
+                loc: siteUrl(listing.url, baseUrl),
+                lastmod: times.length > 0 ? new Date(Math.max(...times)) : null,
+                priority: listing.tag ? 0.5 : 0.7,
+                changefreq: 'daily',
+            });
+        }
+    }
+    return urls;
+}
+
+// Link the versions of each page in the sites with a language to each other
+function addAlternates(urls, sites) {
+    const languages = new Map(sites.filter(site => site.lang).map(site => [site.dataSet, site.lang]));
+    const versions = new Map();
+    for (const url of urls) {
+        if (languages.has(url.dataSet)) {
+            versions.set(url.key, [...(versions.get(url.key) || []), url]);
+        }
+    }
+
+    for (const group of versions.values()) {
+        if (group.length < 2) {
+            continue;
+        }
+        const alternates = group.map(url => ({ hreflang: languages.get(url.dataSet), href: url.loc }));
+        const main = group.find(url => url.dataSet === sites[0].dataSet);
+        if (main) {
+            alternates.push({ hreflang: 'x-default', href: main.loc });
+        }
+        group.forEach(url => {
+            url.alternates = alternates;
+        });
+    }
+}
+
+// 1 as 1.0, 0.55 as 0.55
+function priorityText(priority) {
+    return Number.isInteger(priority * 10) ? priority.toFixed(1) : String(priority);
+}
+
+function sitemapXml(urls) {
+    const hreflang = urls.some(url => url.alternates);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${hreflang ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : ''}>`,
+    ];
+
+    for (const url of urls) {
+        lines.push('  <url>', `    <loc>${escapeXml(url.loc)}</loc>`);
+        if (url.lastmod) {
+            lines.push(`    <lastmod>${url.lastmod.toISOString()}</lastmod>`);
+        }
+        lines.push(
+            `    <changefreq>${url.changefreq}</changefreq>`,
+            `    <priority>${priorityText(url.priority)}</priority>`,
+            ...(url.alternates || []).map(alternate => `    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}"/>`),
+            '  </url>',
+        );
+    }
+
+    lines.push('</urlset>');
+    return `${lines.join('\n')}\n`;
+}
+
+function sitemapIndexXml(sitemaps) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ];
+    for (const sitemap of sitemaps) {
+        lines.push('  <sitemap>', `    <loc>${escapeXml(sitemap.loc)}</loc>`);
+        if (sitemap.lastmod) {
+            lines.push(`    <lastmod>${sitemap.lastmod.toISOString()}</lastmod>`);
+        }
+        lines.push('  </sitemap>');
+    }
+    lines.push('</sitemapindex>');
+    return `${lines.join('\n')}\n`;
+}
+
+// The newest lastmod of urls, or null
+function newest(urls) {
+    const times = urls.map(url => url.lastmod).filter(Boolean);
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Write dist/sitemap.xml with the URL of every published page of the
+ * dataSets, and of the listing pages of their collections. The first
+ * dataSet defaults to dataSet. With more URLs than maxUrls,
+ * sitemap.xml becomes an index of sitemap-1.xml, sitemap-2.xml, ...;
+ * split files left from an earlier, larger sitemap are removed.
+ */
+export async function generateSitemap({ baseUrl, dataSet = 'default', dataSets = [dataSet], maxUrls = MAX_SITEMAP_URLS }) {
+    const settings = await loadSettings();
+    const sites = sitemapSites([...new Set(dataSets)], baseUrl, settings);
+    const now = new Date();
+
+    const urls = [];
+    const skipped = [];
+    for (const site of sites) {
+        urls.push(...await siteUrls(site, now, skipped));
+    }
+    addAlternates(urls, sites);
+
+    await fs.mkdir(DIST_DIR, { recursive: true });
+    const sitemapPath = path.join(DIST_DIR, 'sitemap.xml');
+    const files = [];
+
+    if (urls.length <= maxUrls) {
+        await fs.writeFile(sitemapPath, sitemapXml(urls));
+    } else {
+        const sitemaps = [];
+        for (let start = 0; start < urls.length; start += maxUrls) {
+            const part = urls.slice(start, start + maxUrls);
+            const fileName = `sitemap-${sitemaps.length + 1}.xml`;
+            await fs.writeFile(path.join(DIST_DIR, fileName), sitemapXml(part));
+            sitemaps.push({ loc: siteUrl(fileName, sites[0].baseUrl), lastmod: newest(part) });
+            files.push(fileName);
+        }
+        await fs.writeFile(sitemapPath, sitemapIndexXml(sitemaps));
+    }
+
+    for (const fileName of await fs.readdir(DIST_DIR)) {
+        if (SPLIT_SITEMAP.test(fileName) && !files.includes(fileName)) {
+            await fs.rm(path.join(DIST_DIR, fileName), { force: true });
+            debugLog(`Removed ${fileName}`);
+        }
+    }
+    debugLog(`Sitemap.xml generated successfully at ${sitemapPath}`);
+
+    return {
+        sitemapPath,
+        files: ['sitemap.xml', ...files],
+        sites: sites.map(({ dataSet: name, baseUrl: url, lang }) => ({ dataSet: name, baseUrl: url, lang })),
+        urls: urls.map(({ key, ...url }) => url),
+        skipped,
+    };
+}
+
+// One robots.txt rule value; line breaks would start a new rule
+function robotsValue(value, field) {
+    const text = String(value);
+    if (/[\r\n]/.test(text)) {
+        throw new FrontmatterError(`robots: ${field} must not contain line breaks`, { file: 'settings.yml' });
+    }
+    return text;
+}
+
+/**
+ * Write dist/robots.txt from the robots groups in settings.yml:
+ *
+ *   robots:
+ *     - userAgent: '*'          # a name or a list of names
+ *       disallow: [/admin/]
+ *       allow: [/admin/public/]
+ *       crawlDelay: 10          # seconds
+ *
+ * Without them every crawler may fetch everything. With sitemap the file
+ * ends with the URL of sitemap.xml under baseUrl.
+ */
+export async function generateRobots({ baseUrl, sitemap = true } = {}) {
+    const settings = await loadSettings();
+    const groups = settings.robots ?? [{ userAgent: '*' }];
+    if (!Array.isArray(groups)) {
+        throw new FrontmatterError('robots must be a list of groups with userAgent, allow and disallow', { file: 'settings.yml' });
+    }
+
+    const lines = [];
+    for (const group of groups) {
+        const { userAgent = '*', allow = [], disallow = [], crawlDelay } = group ?? {};
+        if (lines.length > 0) {
+            lines.push('');
+        }
+        lines.push(...[].concat(userAgent).map(agent => `User-agent: ${robotsValue(agent, 'userAgent')}`));
+        lines.push(...[].concat(allow).map(rule => `Allow: ${robotsValue(rule, 'allow')}`));
+        const disallowed = [].concat(disallow);
+        // A group needs at least one rule; an empty Disallow allows everything
+        lines.push(...(disallowed.length > 0 ? disallowed.map(rule => `Disallow: ${robotsValue(rule, 'disallow')}`) : ['Disallow:']));
+        if (crawlDelay !== undefined) {
+            if (typeof crawlDelay !== 'number' || crawlDelay < 0) {
+                throw new FrontmatterError(`robots: crawlDelay must be a number of seconds, got: ${crawlDelay}`, { file: 'settings.yml' });
+            }
+            lines.push(`Crawl-delay: ${crawlDelay}`);
+        }
+    }
+
+    let sitemapUrl = null;
+    if (sitemap) {
+        sitemapUrl = siteUrl('sitemap.xml', siteBaseUrl(baseUrl ?? settings.baseUrl, 'The sitemap line of robots.txt'));
+        lines.push('', `Sitemap: ${sitemapUrl}`);
+    }
+
+    await fs.mkdir(DIST_DIR, { recursive: true });
+    const robotsPath = path.join(DIST_DIR, 'robots.txt');
+    const content = `${lines.join('\n')}\n`;
+    await fs.writeFile(robotsPath, content);
+    debugLog(`robots.txt generated at ${robotsPath}`);
+
+    return { robotsPath, sitemapUrl, content };
+}
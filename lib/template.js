@@ -0,0 +1,34 @@
+export const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Text form of a value: dates as YYYY-MM-DD, lists comma separated
+export function formatValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().split('T')[0];
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatValue).join(', ');
+    }
+    return String(value);
+}
+
+// Replace {{ name }} placeholders with values; unknown placeholders become empty
+export function fillPlaceholders(text, values) {
+    return text.replace(PLACEHOLDER, (match, key) => formatValue(values[key]));
+}
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Text or attribute value for XML; characters XML 1.0 does not allow are dropped
+export function escapeXml(text) {
+    return escapeHtml(String(text).replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, ''))
+        .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,36 @@
+import { buildSite } from '../build.js';
+import { DIST_DIR } from '../config.js';
+import { dataSet, objectSchema } from './schema.js';
+
+export default {
+    name: 'build_site',
+    description: 'Render the pages of a dataSet to the dist folder (Markdown, components and template) without the LLM. Only pages whose inputs changed since the last build are rendered, and outputs of deleted pages are removed. Drafts, scheduled and expired pages are left out. The collections in settings.yml get listing pages, tag archives and related pages',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        dataSet,
+        force: {
+            type: 'boolean',
+            description: 'Render every page even when its inputs have not changed (default: false)',
+            default: false,
+        },
+    }),
+
+    audit: {
+        paths: async () => [DIST_DIR],
+    },
+
+    async handler(args) {
+        const report = await buildSite(args);
+        const failed = report.failedCount > 0;
+        const listings = report.listings.length > 0
+            ? ` and ${report.listingsBuiltCount} listing pages (${report.listingsSkippedCount} unchanged)`
+            : '';
+
+        return {
+            success: !failed,
+            message: `Built ${report.builtCount} pages (${report.skippedCount} unchanged, ${report.unpublishedCount} unpublished, ${report.removedCount} removed, ${report.failedCount} failed)${listings}`,
+            ...(failed ? { error: { code: 'BUILD_FAILED', message: `${report.failedCount} pages failed to build` } } : {}),
+            ...report,
+        };
+    },
+};
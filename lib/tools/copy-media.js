@@ -0,0 +1,35 @@
+import { copyMedia, MEDIA_DEST_DIR } from '../media.js';
+import { MEDIA_ROOT } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'copy_media',
+    description: 'Copy new and changed files from src/media to dist/media and remove copies of deleted files',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        force: {
+            type: 'boolean',
+            description: 'Copy every file even when it has not changed (default: false)',
+            default: false,
+        },
+    }),
+
+    audit: {
+        paths: async () => [MEDIA_DEST_DIR],
+    },
+
+    async handler(args) {
+        const { copied, skipped, removed } = await copyMedia({ force: args.force });
+
+        return {
+            success: true,
+            message: `Copied ${copied.length} media files (${skipped.length} unchanged, ${removed.length} removed)`,
+            sourceDir: MEDIA_ROOT,
+            destinationDir: MEDIA_DEST_DIR,
+            copiedCount: copied.length,
+            skippedCount: skipped.length,
+            removedCount: removed.length,
+            removed,
+        };
+    },
+};
@@ -0,0 +1,54 @@
+import { createPage } from '../pages.js';
+import { resolveContentPath } from '../paths.js';
+import { dataSet, objectSchema } from './schema.js';
+
+export default {
+    name: 'create_page',
+    description: 'Create a new page. Fails if the page exists unless overwrite is true',
+    role: 'editor',
+    inputSchema: objectSchema({
+        fileName: {
+            type: 'string',
+            description: 'The name of the file to create (e.g., "my-new-page.md")',
+        },
+        title: {
+            type: 'string',
+            description: 'The title of the page',
+        },
+        copy: {
+            type: 'string',
+            description: 'The content of the page in Markdown format',
+        },
+        frontmatter: {
+            type: 'object',
+            description: 'Frontmatter attributes of the page (e.g., template, alias)',
+            default: {},
+        },
+        dataSet,
+        overwrite: {
+            type: 'boolean',
+            description: 'Replace the page if it already exists (default: false)',
+            default: false,
+        },
+    }, ['fileName', 'copy']),
+
+    audit: {
+        paths: async ({ dataSet, fileName }) => [await resolveContentPath(dataSet, fileName)],
+    },
+
+    async handler(args) {
+        const created = await createPage({
+            dataSet: args.dataSet,
+            fileName: args.fileName,
+            frontmatter: { ...(args.title ? { title: args.title } : {}), ...args.frontmatter },
+            copy: args.copy,
+            overwrite: args.overwrite,
+        });
+
+        return {
+            success: true,
+            message: `Page "${args.fileName}" created successfully.`,
+            ...created,
+        };
+    },
+};
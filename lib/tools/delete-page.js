@@ -0,0 +1,25 @@
+import { deletePage } from '../pages.js';
+import { resolveContentPath } from '../paths.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'delete_page',
+    description: 'Delete a page',
+    role: 'editor',
+    inputSchema: objectSchema({ pageName, dataSet }, ['pageName']),
+
+    audit: {
+        paths: async ({ dataSet, pageName }) => [await resolveContentPath(dataSet, pageName)],
+    },
+
+    async handler(args) {
+        const deleted = await deletePage(args);
+
+        return {
+            success: true,
+            message: `Page "${args.pageName}" deleted successfully.`,
+            pageName: args.pageName,
+            ...deleted,
+        };
+    },
+};
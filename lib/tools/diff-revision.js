@@ -0,0 +1,38 @@
+import { diffRevision } from '../history.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'diff_revision',
+    description: 'Show what changed in a page since a revision: the frontmatter attributes that differ and a unified diff of the Markdown body',
+    role: 'viewer',
+    inputSchema: objectSchema({
+        pageName,
+        dataSet,
+        revision: {
+            type: 'string',
+            description: 'The id of the revision to compare from, as listed by list_revisions',
+        },
+        against: {
+            type: 'string',
+            description: 'The id of a later revision to compare to, or "current" for the page as it is now (default)',
+            default: 'current',
+        },
+    }, ['pageName', 'revision']),
+
+    async handler(args) {
+        const diff = await diffRevision({
+            dataSet: args.dataSet,
+            pageName: args.pageName,
+            id: args.revision,
+            against: args.against,
+        });
+
+        return {
+            success: true,
+            message: diff.changed ? `Page "${args.pageName}" changed since ${args.revision}` : `Page "${args.pageName}" is unchanged since ${args.revision}`,
+            pageName: args.pageName,
+            dataSet: args.dataSet,
+            ...diff,
+        };
+    },
+};
@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DIST_DIR } from '../config.js';
+import { debugLog } from '../log.js';
+import { objectSchema } from './schema.js';
+
+// Remove everything inside dirPath; lstat so a symlinked directory is unlinked, not emptied
+async function removeContents(dirPath) {
+    for (const entry of await fs.readdir(dirPath)) {
+        const entryPath = path.join(dirPath, entry);
+        const stats = await fs.lstat(entryPath);
+
+        if (stats.isDirectory()) {
+            await removeContents(entryPath);
+            await fs.rmdir(entryPath);
+        } else {
+            await fs.unlink(entryPath);
+        }
+        debugLog(`Removed ${entryPath}`);
+    }
+}
+
+export default {
+    name: 'empty_dist',
+    description: 'Empty the dist folder',
+    role: 'publisher',
+    inputSchema: objectSchema(),
+
+    audit: {
+        paths: async () => [DIST_DIR],
+    },
+
+    async handler() {
+        await fs.mkdir(DIST_DIR, { recursive: true });
+        await removeContents(DIST_DIR);
+
+        return {
+            success: true,
+            message: 'Dist folder emptied successfully',
+            distDir: DIST_DIR,
+        };
+    },
+};
@@ -0,0 +1,40 @@
+import { generateFeeds, feedOutputNames } from '../feeds.js';
+import { resolveDistPath } from '../paths.js';
+import { dataSet, objectSchema } from './schema.js';
+
+export default {
+    name: 'generate_feeds',
+    description: 'Generate RSS 2.0, Atom and JSON Feed files in dist from the dated, published pages of a dataSet or of one collection, newest first, with their rendered HTML',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        dataSet,
+        collection: {
+            type: 'string',
+            description: 'A collection from settings.yml; its feeds are written next to its listing pages. Without it the feeds cover every dated page of the dataSet',
+        },
+        baseUrl: {
+            type: 'string',
+            description: 'Base URL links in the feeds are made absolute with (default: baseUrl in settings.yml)',
+        },
+        limit: {
+            type: 'integer',
+            description: 'Number of newest pages in the feeds (default: 20)',
+            minimum: 1,
+            default: 20,
+        },
+    }),
+
+    audit: {
+        paths: async ({ collection }) => Promise.all(Object.values(await feedOutputNames(collection)).map(resolveDistPath)),
+    },
+
+    async handler(args) {
+        const feeds = await generateFeeds(args);
+
+        return {
+            success: true,
+            message: `Wrote ${feeds.files.length} feeds with ${feeds.items.length} entries`,
+            ...feeds,
+        };
+    },
+};
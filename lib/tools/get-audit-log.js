@@ -0,0 +1,45 @@
+import { readAuditLog, AUDIT_LOG_PATH } from '../audit.js';
+import { dataSet, objectSchema } from './schema.js';
+
+export default {
+    name: 'get_audit_log',
+    description: 'List the logged calls of tools that changed content or dist, newest first, with who made them, the arguments and the hashes of the changed files',
+    role: 'viewer',
+    inputSchema: objectSchema({
+        pageName: {
+            type: 'string',
+            description: 'Only calls that changed this page file (e.g., "about.md")',
+        },
+        dataSet,
+        tool: {
+            type: 'string',
+            description: 'Only calls of this tool (e.g., "save_html")',
+        },
+        from: {
+            type: 'string',
+            description: 'Only calls at or after this date or date-time (e.g., "2024-05-01")',
+        },
+        to: {
+            type: 'string',
+            description: 'Only calls at or before this date or date-time; a date includes the whole day',
+        },
+        limit: {
+            type: 'integer',
+            description: 'Most entries to return (default: 100)',
+            minimum: 1,
+            default: 100,
+        },
+    }),
+
+    async handler(args) {
+        const entries = await readAuditLog(args);
+
+        return {
+            success: true,
+            message: `Found ${entries.length} audit entries`,
+            logPath: AUDIT_LOG_PATH,
+            count: entries.length,
+            entries,
+        };
+    },
+};
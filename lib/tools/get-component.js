@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDecoration } from '../content.js';
+import { resolveDecorationPath, safeSegment } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'get_component',
+    description: 'Get a component from the decoration components folder',
+    role: 'viewer',
+    inputSchema: objectSchema({
+        component: {
+            type: 'string',
+            description: 'The name of the component to retrieve',
+        },
+    }, ['component']),
+
+    async handler(args) {
+        const decoration = await getDecoration();
+        const componentDir = await resolveDecorationPath(decoration, 'components', safeSegment(args.component, 'component'));
+        const componentExists = await fs.access(componentDir).then(() => true, () => false);
+        const read = fileName => componentExists
+            ? fs.readFile(path.join(componentDir, fileName), 'utf8').catch(() => null)
+            : null;
+
+        return {
+            decoration,
+            componentsDir: await resolveDecorationPath(decoration, 'components'),
+            componentDir,
+            component: args.component,
+            componentExists,
+            template: await read('template.html'),
+            exampleMd: await read('example.md'),
+            exampleHtml: await read('example.html'),
+        };
+    },
+};
@@ -0,0 +1,21 @@
+import { getDecoration } from '../content.js';
+import { readMarkdownSnippets } from '../markdown.js';
+import { resolveDecorationPath } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'get_markdown',
+    description: 'Get HTML templates for markdown conversion based on decoration setting',
+    role: 'viewer',
+    inputSchema: objectSchema(),
+
+    async handler() {
+        const decoration = await getDecoration();
+
+        return {
+            decoration,
+            markdownDir: await resolveDecorationPath(decoration, 'markdown'),
+            templates: await readMarkdownSnippets(decoration),
+        };
+    },
+};
@@ -0,0 +1,23 @@
+import { readPage } from '../content.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'get_page',
+    description: 'Get the content of a specific page',
+    role: 'viewer',
+    inputSchema: objectSchema({ pageName, dataSet }, ['pageName']),
+
+    async handler(args) {
+        const page = await readPage(args.dataSet, args.pageName);
+
+        return {
+            success: true,
+            pageName: args.pageName,
+            dataSet: args.dataSet,
+            filePath: page.filePath,
+            attributes: page.attributes,
+            content: page.content,
+            rawContent: page.rawContent,
+        };
+    },
+};
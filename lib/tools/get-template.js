@@ -0,0 +1,31 @@
+import fs from 'fs/promises';
+import { getDecoration } from '../content.js';
+import { resolveDecorationPath } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'get_template',
+    description: 'Get a template from the decoration templates folder',
+    role: 'viewer',
+    inputSchema: objectSchema({
+        template: {
+            type: 'string',
+            description: 'The name of the template file to retrieve (default: index.html)',
+            default: 'index.html',
+        },
+    }),
+
+    async handler(args) {
+        const decoration = await getDecoration();
+        const templatePath = await resolveDecorationPath(decoration, 'templates', args.template);
+        const template = await fs.readFile(templatePath, 'utf8').catch(() => null);
+
+        return {
+            decoration,
+            templatesDir: await resolveDecorationPath(decoration, 'templates'),
+            templateName: args.template,
+            templateExists: template !== null,
+            template,
+        };
+    },
+};
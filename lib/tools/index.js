@@ -0,0 +1,62 @@
+import listPages from './list-pages.js';
+import xmlSitemap from './xml-sitemap.js';
+import generateFeeds from './generate-feeds.js';
+import robotsTxt from './robots-txt.js';
+import createPage from './create-page.js';
+import updatePage from './update-page.js';
+import deletePage from './delete-page.js';
+import renamePage from './rename-page.js';
+import publishPage from './publish-page.js';
+import listRevisions from './list-revisions.js';
+import diffRevision from './diff-revision.js';
+import restoreRevision from './restore-revision.js';
+import getMarkdown from './get-markdown.js';
+import renderMarkdown from './render-markdown.js';
+import getTemplate from './get-template.js';
+import getComponent from './get-component.js';
+import listTemplates from './list-templates.js';
+import listComponents from './list-components.js';
+import previewPage from './preview-page.js';
+import saveHtml from './save-html.js';
+import getPage from './get-page.js';
+import validatePage from './validate-page.js';
+import copyMedia from './copy-media.js';
+import emptyDist from './empty-dist.js';
+import buildSite from './build-site.js';
+import runServer from './run-server.js';
+import stopServer from './stop-server.js';
+import serverStatus from './server-status.js';
+import getAuditLog from './get-audit-log.js';
+
+// Built-in tools in the order MCP clients list them
+export const BUILTIN_TOOLS = [
+    listPages,
+    xmlSitemap,
+    generateFeeds,
+    robotsTxt,
+    createPage,
+    updatePage,
+    deletePage,
+    renamePage,
+    publishPage,
+    listRevisions,
+    diffRevision,
+    restoreRevision,
+    getMarkdown,
+    renderMarkdown,
+    getTemplate,
+    getComponent,
+    listTemplates,
+    listComponents,
+    saveHtml,
+    getPage,
+    validatePage,
+    previewPage,
+    copyMedia,
+    emptyDist,
+    buildSite,
+    runServer,
+    stopServer,
+    serverStatus,
+    getAuditLog,
+];
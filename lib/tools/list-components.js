@@ -0,0 +1,21 @@
+import { getDecoration } from '../content.js';
+import { listComponents } from '../components.js';
+import { resolveDecorationPath } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'list_components',
+    description: 'List the components of the decoration',
+    role: 'viewer',
+    inputSchema: objectSchema({}),
+
+    async handler() {
+        const decoration = await getDecoration();
+
+        return {
+            decoration,
+            componentsDir: await resolveDecorationPath(decoration, 'components'),
+            components: await listComponents(decoration),
+        };
+    },
+};
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import { debugLog } from '../log.js';
+import { resolveContentDir } from '../paths.js';
+import { listPageFiles, readPage, publicationStatus } from '../content.js';
+import { dataSet, objectSchema } from './schema.js';
+
+export default {
+    name: 'list_pages',
+    description: 'List all available pages, including the pages of collections in subfolders (posts/hello.md). unpublished lists the drafts, scheduled and expired pages among them, which builds leave out',
+    role: 'viewer',
+    inputSchema: objectSchema({ dataSet }),
+
+    async handler(args) {
+        const contentDir = await resolveContentDir(args.dataSet);
+
+        try {
+            await fs.access(contentDir);
+        } catch (error) {
+            // A dataSet without a directory yet is created empty
+            await fs.mkdir(contentDir, { recursive: true });
+            debugLog(`Created directory: ${contentDir}`);
+            return { pages: [], unpublished: [], directory: contentDir, directoryExists: true, dataSet: args.dataSet, directoryCreated: true };
+        }
+
+        const pages = await listPageFiles(args.dataSet);
+        const unpublished = [];
+        const now = new Date();
+        for (const pageName of pages) {
+            try {
+                const { attributes } = await readPage(args.dataSet, pageName);
+                const status = publicationStatus(attributes, now);
+                if (status !== 'published') {
+                    unpublished.push({
+                        pageName,
+                        status,
+                        publishDate: attributes.publishDate ?? null,
+                        expiryDate: attributes.expiryDate ?? null,
+                    });
+                }
+            } catch (error) {
+                // Pages with malformed frontmatter are reported by get_page and validate_page
+            }
+        }
+
+        return {
+            pages,
+            unpublished,
+            directory: contentDir,
+            directoryExists: true,
+            dataSet: args.dataSet,
+        };
+    },
+};
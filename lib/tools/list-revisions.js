@@ -0,0 +1,21 @@
+import { listRevisions } from '../history.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'list_revisions',
+    description: 'List the saved revisions of a page, newest first. Every create, update, rename, delete and restore of a page is kept as a revision',
+    role: 'viewer',
+    inputSchema: objectSchema({ pageName, dataSet }, ['pageName']),
+
+    async handler(args) {
+        const revisions = await listRevisions(args.dataSet, args.pageName);
+
+        return {
+            success: true,
+            message: `Page "${args.pageName}" has ${revisions.length} revisions`,
+            pageName: args.pageName,
+            dataSet: args.dataSet,
+            revisions,
+        };
+    },
+};
@@ -0,0 +1,23 @@
+import fs from 'fs/promises';
+import { getDecoration } from '../content.js';
+import { resolveDecorationPath } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'list_templates',
+    description: 'List the page templates of the decoration',
+    role: 'viewer',
+    inputSchema: objectSchema({}),
+
+    async handler() {
+        const decoration = await getDecoration();
+        const templatesDir = await resolveDecorationPath(decoration, 'templates');
+        const entries = await fs.readdir(templatesDir, { withFileTypes: true }).catch(() => []);
+
+        return {
+            decoration,
+            templatesDir,
+            templates: entries.filter(entry => entry.isFile() && entry.name.endsWith('.html')).map(entry => entry.name).sort(),
+        };
+    },
+};
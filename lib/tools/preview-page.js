@@ -0,0 +1,26 @@
+import { previewPage } from '../build.js';
+import { CmsError } from '../errors.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'preview_page',
+    description: 'Render a page to HTML with its template and components without writing it to dist. Pass pageName for a saved page, or source to render unsaved Markdown',
+    role: 'viewer',
+    inputSchema: objectSchema({
+        pageName,
+        source: {
+            type: 'string',
+            description: 'A whole page file, frontmatter and Markdown, to render instead of the saved page',
+        },
+        dataSet,
+    }),
+
+    async handler(args) {
+        if (args.pageName === undefined && args.source === undefined) {
+            throw new CmsError('INVALID_ARGUMENTS', 'preview_page needs a pageName or a source');
+        }
+        const preview = await previewPage(args);
+
+        return { success: true, ...preview };
+    },
+};
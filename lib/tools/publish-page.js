@@ -0,0 +1,43 @@
+import { publishPage } from '../pages.js';
+import { resolveContentPath } from '../paths.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+const MESSAGES = {
+    published: 'is published and goes live with the next build',
+    scheduled: 'is scheduled',
+    expired: 'has expired; pass a later expiryDate, or null to remove it',
+};
+
+export default {
+    name: 'publish_page',
+    description: 'Publish a draft page: remove draft and set publishDate, now unless given. A publishDate ahead schedules the page; expiryDate takes it off the site at that time. Build the site to put it live',
+    role: 'editor',
+    inputSchema: objectSchema({
+        pageName,
+        dataSet,
+        publishDate: {
+            type: ['string', 'null'],
+            description: 'When the page goes live, e.g. 2024-05-01T09:00:00Z; null removes it',
+        },
+        expiryDate: {
+            type: ['string', 'null'],
+            description: 'When the page is taken off the site; null removes it',
+        },
+    }, ['pageName']),
+
+    audit: {
+        paths: async ({ dataSet, pageName }) => [await resolveContentPath(dataSet, pageName)],
+    },
+
+    async handler(args) {
+        const published = await publishPage(args);
+        const when = published.publication === 'scheduled' ? ` for ${published.publishDate.toISOString()}` : '';
+
+        return {
+            success: true,
+            message: `Page "${args.pageName}" ${MESSAGES[published.publication]}${when}.`,
+            pageName: args.pageName,
+            ...published,
+        };
+    },
+};
@@ -0,0 +1,40 @@
+import { renamePage } from '../pages.js';
+import { resolveContentDir } from '../paths.js';
+import { dataSet, objectSchema } from './schema.js';
+
+export default {
+    name: 'rename_page',
+    description: 'Rename a page and update links and alias references to it in the other pages of the dataSet',
+    role: 'editor',
+    inputSchema: objectSchema({
+        pageName: {
+            type: 'string',
+            description: 'The current name of the page file with .md extension',
+        },
+        newPageName: {
+            type: 'string',
+            description: 'The new name of the page file with .md extension',
+        },
+        alias: {
+            type: 'string',
+            description: 'New alias (output file name) for the page',
+        },
+        dataSet,
+    }, ['pageName', 'newPageName']),
+
+    // Links in other pages of the dataSet may change too
+    audit: {
+        paths: async ({ dataSet }) => [await resolveContentDir(dataSet)],
+    },
+
+    async handler(args) {
+        const renamed = await renamePage(args);
+
+        return {
+            success: true,
+            message: `Page "${args.pageName}" renamed to "${args.newPageName}".`,
+            pageName: args.newPageName,
+            ...renamed,
+        };
+    },
+};
@@ -0,0 +1,26 @@
+import { getDecoration } from '../content.js';
+import { createMarkdownRenderer, readMarkdownSnippets } from '../markdown.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'render_markdown',
+    description: 'Render Markdown (CommonMark and GFM) to HTML using the markdown snippets of the decoration',
+    role: 'viewer',
+    inputSchema: objectSchema({
+        markdown: {
+            type: 'string',
+            description: 'The Markdown to render',
+        },
+        decoration: {
+            type: 'string',
+            description: 'The decoration whose markdown snippets are used (default: the decoration from settings.yml)',
+        },
+    }, ['markdown']),
+
+    async handler(args) {
+        const decoration = args.decoration || await getDecoration();
+        const renderer = createMarkdownRenderer(await readMarkdownSnippets(decoration));
+
+        return { decoration, html: renderer.render(args.markdown) };
+    },
+};
@@ -0,0 +1,32 @@
+import { restoreRevision } from '../pages.js';
+import { resolveContentPath } from '../paths.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'restore_revision',
+    description: 'Write a saved revision of a page back to the page file. The restore is saved as a new revision, so it can be undone',
+    role: 'editor',
+    inputSchema: objectSchema({
+        pageName,
+        dataSet,
+        revision: {
+            type: 'string',
+            description: 'The id of the revision to restore, as listed by list_revisions',
+        },
+    }, ['pageName', 'revision']),
+
+    audit: {
+        paths: async ({ dataSet, pageName }) => [await resolveContentPath(dataSet, pageName)],
+    },
+
+    async handler(args) {
+        const restored = await restoreRevision(args);
+
+        return {
+            success: true,
+            message: `Page "${args.pageName}" restored to revision ${args.revision}.`,
+            pageName: args.pageName,
+            ...restored,
+        };
+    },
+};
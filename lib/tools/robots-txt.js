@@ -0,0 +1,34 @@
+import { generateRobots } from '../sitemap.js';
+import { resolveDistPath } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'robots_txt',
+    description: 'Generate robots.txt in the dist folder from the robots groups in settings.yml (every crawler may fetch everything without them), ending with the URL of sitemap.xml',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        baseUrl: {
+            type: 'string',
+            description: 'Base URL the sitemap line points under (default: baseUrl in settings.yml)',
+        },
+        sitemap: {
+            type: 'boolean',
+            description: 'Whether to add the Sitemap line (default: true)',
+            default: true,
+        },
+    }),
+
+    audit: {
+        paths: async () => [await resolveDistPath('robots.txt')],
+    },
+
+    async handler(args) {
+        const robots = await generateRobots(args);
+
+        return {
+            success: true,
+            message: 'robots.txt generated successfully',
+            ...robots,
+        };
+    },
+};
@@ -0,0 +1,44 @@
+import { startPreviewServer } from '../preview.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'run_server',
+    description: 'Run a local web server with root in dist folder',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        port: {
+            type: 'integer',
+            description: 'Port to run the server on (default: 8080)',
+            minimum: 1,
+            maximum: 65535,
+            default: 8080,
+        },
+        watch: {
+            type: 'boolean',
+            description: 'Build the site, rebuild pages as their sources change and reload open browsers (default: false)',
+            default: false,
+        },
+        drafts: {
+            type: 'boolean',
+            description: 'Also serve the drafts, scheduled and expired pages, rendered on request with a preview banner; they are not written to dist (default: false)',
+            default: false,
+        },
+        dataSet: {
+            type: 'string',
+            description: 'DataSet to build and watch when watch is set, and to serve drafts of (default: "default")',
+            default: 'default',
+        },
+    }),
+
+    async handler(args) {
+        const serverInfo = await startPreviewServer(args);
+
+        return {
+            success: true,
+            message: serverInfo.alreadyRunning
+                ? `Server already running at ${serverInfo.url}`
+                : `Server running at ${serverInfo.url}`,
+            ...serverInfo,
+        };
+    },
+};
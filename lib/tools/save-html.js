@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DIST_DIR } from '../config.js';
+import { resolveDistPath } from '../paths.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'save_html',
+    description: 'Save an HTML file in the dist folder',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        fileName: {
+            type: 'string',
+            description: 'The name of the HTML file to create',
+        },
+        content: {
+            type: 'string',
+            description: 'The content of the HTML file',
+            minLength: 1,
+        },
+    }, ['fileName', 'content']),
+
+    audit: {
+        paths: async ({ fileName }) => [await resolveDistPath(fileName)],
+    },
+
+    async handler(args) {
+        const filePath = await resolveDistPath(args.fileName);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, args.content);
+
+        return {
+            success: true,
+            message: `Static file ${args.fileName} generated successfully.`,
+            filePath,
+            distDir: DIST_DIR,
+        };
+    },
+};
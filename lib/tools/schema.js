@@ -0,0 +1,17 @@
+// Input schema properties shared by several tools
+
+export const dataSet = {
+    type: 'string',
+    description: 'The subfolder where there are files with the content. It equals "default" if it\'s not set.',
+    default: 'default',
+};
+
+export const pageName = {
+    type: 'string',
+    description: 'The name of the page file with .md extension',
+};
+
+// An object schema that rejects arguments it does not declare
+export function objectSchema(properties = {}, required = []) {
+    return { type: 'object', properties, required, additionalProperties: false };
+}
@@ -0,0 +1,15 @@
+import { previewServerStatus } from '../preview.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'server_status',
+    description: 'List the local web servers that are running',
+    role: 'viewer',
+    inputSchema: objectSchema(),
+
+    async handler() {
+        const servers = previewServerStatus();
+
+        return { success: true, running: servers.length > 0, servers };
+    },
+};
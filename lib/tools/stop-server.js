@@ -0,0 +1,30 @@
+import { stopPreviewServer, previewServerStatus } from '../preview.js';
+import { CmsError } from '../errors.js';
+import { objectSchema } from './schema.js';
+
+export default {
+    name: 'stop_server',
+    description: 'Stop a local web server started with run_server',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        port: {
+            type: 'integer',
+            description: 'Port of the server to stop (default: stop all servers)',
+        },
+    }),
+
+    async handler(args) {
+        const stoppedPorts = await stopPreviewServer({ port: args.port }).catch(error => {
+            throw new CmsError('SERVER_NOT_RUNNING', error.message, { port: args.port, servers: previewServerStatus() });
+        });
+
+        return {
+            success: true,
+            message: stoppedPorts.length > 0
+                ? `Stopped server on port ${stoppedPorts.join(', ')}`
+                : 'No servers were running',
+            stoppedPorts,
+            servers: previewServerStatus(),
+        };
+    },
+};
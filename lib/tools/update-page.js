@@ -0,0 +1,52 @@
+import { updatePage } from '../pages.js';
+import { resolveContentPath } from '../paths.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'update_page',
+    description: 'Update a page: merge frontmatter changes and replace or patch the Markdown body',
+    role: 'editor',
+    inputSchema: objectSchema({
+        pageName,
+        dataSet,
+        frontmatter: {
+            type: 'object',
+            description: 'Attributes to merge into the frontmatter; a null value removes the attribute',
+            default: {},
+        },
+        content: {
+            type: 'string',
+            description: 'New Markdown body replacing the current one',
+        },
+        patches: {
+            type: 'array',
+            description: 'Find and replace edits applied to the body in order; each must match',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    find: { type: 'string' },
+                    replace: { type: 'string' },
+                    all: { type: 'boolean' },
+                },
+                required: ['find', 'replace'],
+                additionalProperties: false,
+            },
+        },
+    }, ['pageName']),
+
+    audit: {
+        paths: async ({ dataSet, pageName }) => [await resolveContentPath(dataSet, pageName)],
+    },
+
+    async handler(args) {
+        const updated = await updatePage(args);
+
+        return {
+            success: true,
+            message: `Page "${args.pageName}" updated successfully.`,
+            pageName: args.pageName,
+            ...updated,
+        };
+    },
+};
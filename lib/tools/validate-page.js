@@ -0,0 +1,34 @@
+import { getDecoration, readPage } from '../content.js';
+import { validateComponents } from '../components.js';
+import { createMarkdownRenderer, readMarkdownSnippets } from '../markdown.js';
+import { dataSet, pageName, objectSchema } from './schema.js';
+
+export default {
+    name: 'validate_page',
+    description: 'Check the component blocks of a page against each component schema.yml and report missing or extra fields with line numbers',
+    role: 'viewer',
+    inputSchema: objectSchema({ pageName, dataSet }, ['pageName']),
+
+    async handler(args) {
+        const page = await readPage(args.dataSet, args.pageName);
+        const decoration = await getDecoration();
+        const validation = await validateComponents(page.content, {
+            decoration,
+            renderer: createMarkdownRenderer(await readMarkdownSnippets(decoration)),
+            firstLine: page.bodyLine,
+        });
+
+        const valid = validation.errors.length === 0 && validation.components.every(component =>
+            component.errors.length === 0 && component.missing.length === 0 && component.extra.length === 0);
+
+        return {
+            success: true,
+            valid,
+            pageName: args.pageName,
+            dataSet: args.dataSet,
+            filePath: page.filePath,
+            decoration,
+            ...validation,
+        };
+    },
+};
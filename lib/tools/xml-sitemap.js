@@ -0,0 +1,44 @@
+import { generateSitemap } from '../sitemap.js';
+import { DIST_DIR } from '../config.js';
+import { dataSet, objectSchema } from './schema.js';
+
+export default {
+    name: 'xml_sitemap',
+    description: 'Generate sitemap.xml file in dist folder based on existing pages. lastmod comes from the frontmatter updated date or the file time; sitemap.priority, sitemap.changefreq and sitemap: false in the frontmatter tune or drop an entry. Several dataSets are linked as hreflang alternates, and past 50,000 URLs sitemap.xml becomes a sitemap index',
+    role: 'publisher',
+    inputSchema: objectSchema({
+        baseUrl: {
+            type: 'string',
+            description: 'Base URL for the website (e.g., https://example.com; default: baseUrl in settings.yml)',
+        },
+        dataSet,
+        dataSets: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'The language versions of the site to list, main one first (default: dataSet). Their URLs and languages come from dataSets in settings.yml',
+        },
+    }),
+
+    // Past 50,000 URLs the call also writes sitemap-<n>.xml files and removes stale ones
+    audit: {
+        paths: async () => [DIST_DIR],
+    },
+
+    async handler(args) {
+        const { sitemapPath, files, sites, urls, skipped } = await generateSitemap(args);
+
+        return {
+            success: true,
+            message: files.length > 1
+                ? `Sitemap index generated successfully with ${files.length - 1} sitemaps`
+                : 'Sitemap.xml generated successfully',
+            sitemapPath,
+            files,
+            sites,
+            urlCount: urls.length,
+            urls,
+            skipped,
+        };
+    },
+};
@@ -0,0 +1,30 @@
+import { CmsError } from './errors.js';
+
+// Absolute URLs of the published site
+
+/**
+ * baseUrl as an http(s) URL ending in a slash, so site paths resolve
+ * below it. what names the output that needs it in the error message.
+ */
+export function siteBaseUrl(baseUrl, what = 'This') {
+    if (!baseUrl) {
+        throw new CmsError('INVALID_ARGUMENTS', `${what} needs a baseUrl: pass baseUrl or set baseUrl in settings.yml`);
+    }
+    let url;
+    try {
+        url = new URL(String(baseUrl));
+    } catch (error) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new CmsError('INVALID_ARGUMENTS', `baseUrl must be an http or https URL, got "${baseUrl}"`);
+    }
+    url.search = '';
+    url.hash = '';
+    return url.href.endsWith('/') ? url.href : `${url.href}/`;
+}
+
+// A site URL or dist file name such as /blog/ or blog/index.html under baseUrl
+export function siteUrl(url, baseUrl) {
+    return new URL(url.replace(/^\/+/, ''), baseUrl).href;
+}
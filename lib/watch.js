@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { debugLog } from './log.js';
+import { PAGES_DIR } from './config.js';
+import { getDecoration, contentDirFor, loadCollections, collectionPageFiles } from './content.js';
+import { collectionOf } from './collections.js';
+import { MEDIA_ROOT, DECORATION_ROOT, safeSegment } from './paths.js';
+import { pageDependencies } from './build.js';
+import { runAudited } from './audit.js';
+import buildSiteTool from './tools/build-site.js';
+import copyMediaTool from './tools/copy-media.js';
+
+const DEBOUNCE_MS = 150;
+
+// Rebuilds are logged in the audit log as build_site and copy_media calls by this actor
+export const WATCH_ACTOR = 'watch';
+
+/**
+ * Work out what a batch of changed files requires: which pages to rebuild
+ * (all of them when null) and whether media must be copied again.
+ */
+async function planRebuild(dataSet, changes) {
+    const pages = new Set();
+    let allPages = false;
+    let media = false;
+    let dependencies = null;
+    let collections;
+
+    // The collections of settings.yml, or null when it cannot be read
+    const loadOnce = async () => {
+        if (collections === undefined) {
+            collections = await loadCollections().catch(() => null);
+        }
+        return collections;
+    };
+
+    const dependentPages = async (matches) => {
+        dependencies = dependencies || await pageDependencies(dataSet);
+        dependencies
+            .filter(page => page.template === null || matches(page))
+            .forEach(page => pages.add(page.pageName));
+    };
+
+    for (const { area, file } of changes) {
+        const parts = file.split(path.sep);
+
+        if (area === 'media') {
+            media = true;
+        } else if (area === 'settings') {
+            // Collections, dataSets and every other setting can change any page
+            allPages = true;
+        } else if (area === 'content') {
+            if (file.endsWith('.md')) {
+                const pageName = parts.join('/');
+                const all = await loadOnce();
+                const collection = all && collectionOf(all, pageName);
+                if (all === null) {
+                    allPages = true;
+                } else if (collection) {
+                    // A collection page changes the listings (built every time) and the related pages of the others
+                    pages.add(pageName);
+                    (await collectionPageFiles(dataSet, collection)).forEach(member => pages.add(member));
+                } else {
+                    pages.add(pageName);
+                }
+            }
+        } else if (parts[0] === 'markdown') {
+            allPages = true;
+        } else if (parts[0] === 'templates' && parts.length > 1) {
+            const templateName = parts.slice(1).join('/');
+            if ((await loadOnce() ?? []).some(collection => [collection.template, collection.tagTemplate, collection.itemTemplate].includes(templateName))) {
+                allPages = true;
+            } else {
+                await dependentPages(page => page.template === templateName);
+            }
+        } else if (parts[0] === 'components' && parts.length > 1) {
+            await dependentPages(page => page.components.includes(parts[1]));
+        } else {
+            allPages = true;
+        }
+    }
+
+    return { pages: allPages ? null : [...pages], media };
+}
+
+/**
+ * Watch src/content/<dataSet>, src/decoration/<decoration>, src/media and
+ * src/settings.yml. Changes are batched, the affected pages rebuilt (and media copied), and
+ * onRebuild is called with what was done: report is the build_site result
+ * and media the copy_media one. Returns { close() }.
+ */
+export async function watchSite({ dataSet = 'default', onRebuild = () => {} } = {}) {
+    const decoration = await getDecoration();
+    const roots = [
+        { area: 'content', dir: contentDirFor(dataSet) },
+        { area: 'decoration', dir: path.join(DECORATION_ROOT, safeSegment(decoration, 'decoration')) },
+        { area: 'media', dir: MEDIA_ROOT },
+        // The folder, not the file: editors often save by replacing the file
+        { area: 'settings', dir: PAGES_DIR, file: 'settings.yml' },
+    ];
+
+    let pending = [];
+    let timer = null;
+    let running = Promise.resolve();
+
+    const flush = () => {
+        const changes = pending;
+        pending = [];
+        timer = null;
+
+        running = running.then(async () => {
+            try {
+                const plan = await planRebuild(dataSet, changes);
+                const result = { dataSet, changes, report: null, media: null };
+
+                if (plan.media) {
+                    result.media = await runAudited(copyMediaTool, { force: false }, WATCH_ACTOR);
+                }
+                if (plan.pages === null || plan.pages.length > 0) {
+                    result.report = await runAudited(buildSiteTool, { dataSet, force: false, only: plan.pages }, WATCH_ACTOR);
+                }
+                if (result.media || result.report) {
+                    debugLog(`Rebuilt after ${changes.length} change(s)`, plan);
+                    await onRebuild(result);
+                }
+            } catch (error) {
+                debugLog(`Error rebuilding after changes: ${error.message}`);
+            }
+        });
+    };
+
+    const watchers = [];
+    for (const { area, dir, file } of roots) {
+        try {
+            const watcher = fs.watch(dir, { recursive: !file }, (eventType, fileName) => {
+                if (!fileName || (file && fileName.toString() !== file)) {
+                    return;
+                }
+                pending.push({ area, file: fileName.toString() });
+                clearTimeout(timer);
+                timer = setTimeout(flush, DEBOUNCE_MS);
+            });
+            watchers.push(watcher);
+            debugLog(`Watching ${dir}`);
+        } catch (error) {
+            debugLog(`Cannot watch ${dir}: ${error.message}`);
+        }
+    }
+
+    return {
+        dataSet,
+        decoration,
+        directories: roots.map(root => (root.file ? path.join(root.dir, root.file) : root.dir)),
+        async close() {
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+            await running;
+        },
+    };
+}
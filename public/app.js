@@ -0,0 +1,445 @@
+// Admin UI: page list, page editor with preview, component picker and chat
+
+const SESSION_KEY = 'pinkfrog-chat-session';
+const PREVIEW_DELAY_MS = 400;
+
+const $ = selector => document.querySelector(selector);
+
+const state = {
+    pageName: null,
+    isNew: false,
+    // Frontmatter attributes the form has no field for, kept as they are
+    otherAttributes: {},
+    component: null,
+    sessionId: localStorage.getItem(SESSION_KEY),
+    user: null,
+};
+
+const form = $('#page-form');
+const markdown = $('#markdown');
+
+function dataSet() {
+    return $('#data-set').value.trim() || 'default';
+}
+
+function setStatus(text, isError = false) {
+    const status = $('#status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+async function api(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401 && url !== '/login') {
+        showLogin();
+    }
+    if (!response.ok) {
+        throw new Error(data.error || `${method} ${url} failed with ${response.status}`);
+    }
+    return data;
+}
+
+// Viewers may look at pages but not change them
+function canEdit() {
+    return Boolean(state.user) && state.user.role !== 'viewer';
+}
+
+function pageUrl(pageName) {
+    // Pages in folders keep their slashes: /api/pages/default/posts/hello.md
+    return `/api/pages/${encodeURIComponent(dataSet())}/${pageName.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Pages
+
+async function loadPages() {
+    const { pages, unpublished } = await api('GET', `/api/pages/${encodeURIComponent(dataSet())}`);
+    const statuses = new Map(unpublished.map(page => [page.pageName, page.status]));
+    const list = $('#page-list');
+    list.replaceChildren(...pages.map(pageName => {
+        const link = document.createElement('a');
+        link.href = `#${pageName}`;
+        link.textContent = pageName;
+        // Drafts, scheduled and expired pages are not on the built site
+        if (statuses.has(pageName)) {
+            const status = document.createElement('span');
+            status.className = 'status';
+            status.textContent = statuses.get(pageName);
+            link.append(' ', status);
+        }
+        if (pageName === state.pageName) {
+            link.setAttribute('aria-current', 'page');
+        }
+        const item = document.createElement('li');
+        item.append(link);
+        return item;
+    }));
+}
+
+function fillForm({ title = '', template = '', alias = '', ...otherAttributes }, content) {
+    form.elements.title.value = title;
+    form.elements.template.value = template || 'index.html';
+    form.elements.alias.value = alias;
+    markdown.value = content;
+    state.otherAttributes = otherAttributes;
+    $('#page-name').textContent = state.pageName + (state.isNew ? ' (new)' : '');
+    $('#save-page').disabled = !canEdit();
+}
+
+async function openPage(pageName) {
+    try {
+        const page = await api('GET', pageUrl(pageName));
+        state.pageName = pageName;
+        state.isNew = false;
+        fillForm(page.attributes, page.content);
+        await loadPages();
+        schedulePreview();
+        setStatus('');
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+function newPage() {
+    const name = window.prompt('File name of the new page', 'new-page.md');
+    if (!name) {
+        return;
+    }
+    state.pageName = name.endsWith('.md') ? name : `${name}.md`;
+    state.isNew = true;
+    fillForm({}, '');
+    schedulePreview();
+}
+
+// Form fields as frontmatter; empty fields are left out
+function formAttributes() {
+    const attributes = {};
+    for (const field of ['title', 'template', 'alias']) {
+        const value = form.elements[field].value.trim();
+        if (value) {
+            attributes[field] = value;
+        }
+    }
+    return attributes;
+}
+
+async function savePage(event) {
+    event.preventDefault();
+    const attributes = formAttributes();
+    try {
+        if (state.isNew) {
+            await api('POST', pageUrl(state.pageName), { frontmatter: attributes, content: markdown.value });
+            state.isNew = false;
+            $('#page-name').textContent = state.pageName;
+        } else {
+            // null removes an attribute whose field was emptied
+            const frontmatter = { title: null, template: null, alias: null, ...attributes };
+            await api('PUT', pageUrl(state.pageName), { frontmatter, content: markdown.value });
+        }
+        setStatus(`Saved ${state.pageName}`);
+        await loadPages();
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+// The page file the editor holds, for previews of unsaved changes
+function pageSource() {
+    const attributes = { ...state.otherAttributes, ...formAttributes() };
+    const lines = Object.entries(attributes).map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+    return `---\n${lines.join('\n')}\n---\n${markdown.value}`;
+}
+
+// Preview
+
+let previewTimer = null;
+
+function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, PREVIEW_DELAY_MS);
+}
+
+async function renderPreview() {
+    if (!state.pageName) {
+        return;
+    }
+    const error = $('#preview-error');
+    try {
+        const { html } = await api('POST', '/api/preview', { dataSet: dataSet(), pageName: state.pageName, source: pageSource() });
+        $('#preview').srcdoc = html;
+        error.hidden = true;
+    } catch (failure) {
+        error.textContent = failure.message;
+        error.hidden = false;
+    }
+}
+
+// Templates and components
+
+async function loadTemplates() {
+    const { templates } = await api('GET', '/api/templates');
+    form.elements.template.replaceChildren(...templates.map(name => new Option(name, name)));
+}
+
+async function loadComponents() {
+    const { components } = await api('GET', '/api/components');
+    $('#component-select').replaceChildren(...components.map(name => new Option(name, name)));
+    if (components.length > 0) {
+        await showComponent(components[0]);
+    }
+}
+
+// Show a component's example.html inside the page template it would be used in
+async function showComponent(name) {
+    const templateName = form.elements.template.value || 'index.html';
+    const [component, { template }] = await Promise.all([
+        api('GET', `/api/components/${encodeURIComponent(name)}`),
+        api('GET', `/api/templates/${encodeURIComponent(templateName)}`),
+    ]);
+    state.component = component;
+
+    const example = component.exampleHtml || '<p>This component has no example.html</p>';
+    $('#component-preview').srcdoc = (template || '{{ content }}')
+        .replace(/\{\{\s*content\s*\}\}/g, () => example)
+        .replace(/\{\{\s*[\w.-]+\s*\}\}/g, '');
+}
+
+function insertComponent() {
+    if (!state.component || !state.component.exampleMd) {
+        setStatus('This component has no example.md', true);
+        return;
+    }
+    const { selectionStart, selectionEnd, value } = markdown;
+    const text = `\n${state.component.exampleMd.trim()}\n`;
+    markdown.value = value.slice(0, selectionStart) + text + value.slice(selectionEnd);
+    markdown.focus();
+    markdown.selectionStart = markdown.selectionEnd = selectionStart + text.length;
+    schedulePreview();
+}
+
+// Chat
+
+function addChatEntry(className, text) {
+    const item = document.createElement('li');
+    item.className = className;
+    item.textContent = text;
+    $('#chat-log').append(item);
+    item.scrollIntoView({ block: 'end' });
+    return item;
+}
+
+function setSession(sessionId) {
+    state.sessionId = sessionId;
+    if (sessionId) {
+        localStorage.setItem(SESSION_KEY, sessionId);
+    } else {
+        localStorage.removeItem(SESSION_KEY);
+    }
+    $('#chat-session').textContent = sessionId ? `Session ${sessionId.slice(0, 8)}` : 'New conversation';
+}
+
+async function loadChat() {
+    setSession(state.sessionId);
+    if (!state.sessionId) {
+        return;
+    }
+    try {
+        const session = await api('GET', `/sessions/${state.sessionId}`);
+        for (const message of session.messages) {
+            if (message.role === 'user') {
+                addChatEntry('user', message.text);
+            } else if (message.role === 'assistant' && message.text) {
+                addChatEntry('assistant', message.text);
+            } else if (message.role === 'tool') {
+                for (const { name, result } of message.results) {
+                    addChatEntry(result.success === false ? 'tool failed' : 'tool', `${name}: ${result.message || 'done'}`);
+                }
+            }
+        }
+    } catch (error) {
+        // The session is gone; start a new one with the next prompt
+        setSession(null);
+    }
+}
+
+// Yield { event, data } for each server-sent event of a fetch response
+async function* readEvents(response) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            return;
+        }
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const event = /^event: (.*)$/m.exec(block);
+            const data = /^data: (.*)$/m.exec(block);
+            if (event && data) {
+                yield { event: event[1], data: JSON.parse(data[1]) };
+            }
+        }
+    }
+}
+
+async function sendPrompt(event) {
+    event.preventDefault();
+    const prompt = $('#prompt').value.trim();
+    if (!prompt) {
+        return;
+    }
+    $('#prompt').value = '';
+    addChatEntry('user', prompt);
+
+    let answer = null;
+    const tools = new Map();
+    try {
+        const response = await fetch('/gemini/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt, sessionId: state.sessionId }),
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `The assistant failed with ${response.status}`);
+        }
+
+        for await (const { event: type, data } of readEvents(response)) {
+            if (type === 'session') {
+                setSession(data.sessionId);
+            } else if (type === 'token') {
+                answer = answer || addChatEntry('assistant', '');
+                answer.textContent += data.text;
+            } else if (type === 'tool_call') {
+                answer = null;
+                tools.set(data.id, addChatEntry('tool', `${data.message}…`));
+            } else if (type === 'tool_result') {
+                const entry = tools.get(data.id);
+                entry.textContent = `${entry.textContent.replace(/…$/, '')}: ${data.message || (data.success ? 'done' : 'failed')}`;
+                entry.classList.toggle('failed', !data.success);
+            } else if (type === 'error') {
+                throw new Error(data.message);
+            } else if (type === 'done' && data.stopReason === 'max_steps') {
+                addChatEntry('tool failed', `Stopped after ${data.steps} tool calls`);
+            }
+        }
+    } catch (error) {
+        addChatEntry('tool failed', error.message);
+    }
+
+    // The assistant may have changed pages
+    await loadPages().catch(() => {});
+    schedulePreview();
+}
+
+async function resetChat() {
+    if (state.sessionId) {
+        await api('POST', `/sessions/${state.sessionId}/reset`).catch(() => {});
+    }
+    $('#chat-log').replaceChildren();
+}
+
+// Login
+
+function showLogin() {
+    const dialog = $('#login-dialog');
+    if (!dialog.open) {
+        dialog.showModal();
+    }
+}
+
+function showUser(user) {
+    state.user = user;
+    $('#user').textContent = user ? `${user.username} (${user.role})` : '';
+    $('#user').hidden = !user;
+    $('#logout').hidden = !user || user.username === 'local';
+    $('#new-page').disabled = !canEdit();
+}
+
+async function logIn(event) {
+    event.preventDefault();
+    const error = $('#login-error');
+    const { username, password } = event.target.elements;
+    try {
+        await api('POST', '/login', { username: username.value, password: password.value });
+    } catch (failure) {
+        error.textContent = failure.message;
+        error.hidden = false;
+        return;
+    }
+    error.hidden = true;
+    password.value = '';
+    $('#login-dialog').close();
+    $('#chat-log').replaceChildren();
+    await start();
+}
+
+async function logOut() {
+    await api('POST', '/logout').catch(() => {});
+    showUser(null);
+    showLogin();
+}
+
+// Wiring
+
+function selectTab(name) {
+    for (const tab of document.querySelectorAll('[role="tab"]')) {
+        const selected = tab.dataset.tab === name;
+        tab.setAttribute('aria-selected', String(selected));
+        $(`#tab-${tab.dataset.tab}`).hidden = !selected;
+    }
+}
+
+// Another dataSet: forget the open page and list the dataSet's pages
+function changeDataSet() {
+    state.pageName = null;
+    form.reset();
+    markdown.value = '';
+    $('#page-name').textContent = 'No page selected';
+    $('#save-page').disabled = true;
+    $('#preview').srcdoc = '';
+    history.replaceState(null, '', location.pathname);
+    loadPages().catch(error => setStatus(error.message, true));
+}
+
+function openPageFromHash() {
+    const pageName = decodeURIComponent(location.hash.slice(1));
+    if (pageName && pageName !== state.pageName) {
+        openPage(pageName);
+    }
+}
+
+document.querySelectorAll('[role="tab"]').forEach(tab => tab.addEventListener('click', () => selectTab(tab.dataset.tab)));
+$('#data-set').addEventListener('change', changeDataSet);
+$('#new-page').addEventListener('click', newPage);
+form.addEventListener('submit', savePage);
+form.addEventListener('input', schedulePreview);
+$('#component-select').addEventListener('change', event => showComponent(event.target.value).catch(error => setStatus(error.message, true)));
+$('#insert-component').addEventListener('click', insertComponent);
+$('#chat-form').addEventListener('submit', sendPrompt);
+$('#reset-chat').addEventListener('click', resetChat);
+$('#login-form').addEventListener('submit', logIn);
+$('#logout').addEventListener('click', logOut);
+window.addEventListener('hashchange', openPageFromHash);
+
+async function start() {
+    try {
+        const { user } = await api('GET', '/me');
+        showUser(user);
+        await Promise.all([loadPages(), loadTemplates(), loadChat()]);
+        await loadComponents();
+        openPageFromHash();
+        setStatus('');
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+await start();
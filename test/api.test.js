@@ -0,0 +1,86 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createFixture } from './helpers.js';
+
+// The JSON API routes, served by express the way cms.js mounts them
+
+const fixture = await createFixture();
+const { createDefaultRegistry } = await import('../lib/registry.js');
+const { createApiRouter, openApiDocument } = await import('../lib/api.js');
+
+const registry = await createDefaultRegistry();
+let server;
+let baseUrl;
+
+before(async () => {
+    await fixture.writeFile('src/content/default/posts/hello.md', '---\ntitle: Hello\n---\n\nHello\n');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createApiRouter(async (name, args) => (await registry.call(name, args)).result));
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fixture.remove();
+});
+
+async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('page routes', () => {
+    it('reach pages in folders', async () => {
+        const { status, body } = await request('GET', '/pages/default/posts/hello.md');
+        assert.equal(status, 200);
+        assert.equal(body.pageName, 'posts/hello.md');
+        assert.equal(body.attributes.title, 'Hello');
+    });
+
+    it('create, update and publish pages in folders', async () => {
+        assert.equal((await request('POST', '/pages/default/posts/new.md', { content: 'New', frontmatter: { draft: true } })).status, 201);
+        assert.equal((await request('PUT', '/pages/default/posts/new.md', { frontmatter: { title: 'New' } })).status, 200);
+
+        const published = await request('POST', '/pages/default/posts/new.md/publish', {});
+        assert.equal(published.status, 200, published.body.error);
+        assert.equal(published.body.pageName, 'posts/new.md');
+    });
+
+    it('list the revisions of pages in folders', async () => {
+        const { status, body } = await request('GET', '/pages/default/posts/new.md/revisions');
+        assert.equal(status, 200, body.error);
+        assert.ok(body.revisions.length >= 3);
+    });
+
+    it('still reach pages at the top of the dataSet', async () => {
+        const { status, body } = await request('GET', '/pages/default/index.md');
+        assert.equal(status, 200);
+        assert.equal(body.pageName, 'index.md');
+    });
+
+    it('answer 404 for a missing page', async () => {
+        const { status, body } = await request('DELETE', '/pages/default/posts/missing.md');
+        assert.equal(status, 404);
+        assert.equal(body.code, 'CONTENT_NOT_FOUND');
+    });
+});
+
+describe('openApiDocument', () => {
+    it('documents the page name as a path parameter that may contain slashes', () => {
+        const { paths } = openApiDocument();
+        const operation = paths['/pages/{dataSet}/{page}/publish'].post;
+        const page = operation.parameters.find(parameter => parameter.name === 'page');
+        assert.match(page.description, /posts\/hello\.md/);
+        assert.equal(operation.operationId, 'postPagesDataSetPagePublish');
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { createFixture } from './helpers.js';
+
+// Audit log entries of mutating tool calls
+
+const fixture = await createFixture();
+const { createDefaultRegistry } = await import('../lib/registry.js');
+const { readAuditLog } = await import('../lib/audit.js');
+const { watchSite } = await import('../lib/watch.js');
+
+const registry = await createDefaultRegistry();
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+after(() => fixture.remove());
+
+describe('audit log', () => {
+    it('records the files a call changed', async () => {
+        const { ok, result } = await registry.call('create_page', { fileName: 'about.md', copy: 'About' }, { actor: 'cli' });
+        assert.equal(ok, true, result.message);
+
+        const [entry] = await readAuditLog({ tool: 'create_page' });
+        assert.equal(entry.success, true);
+        assert.equal(entry.actor, 'cli');
+        assert.deepEqual(entry.paths.map(changed => changed.path), ['src/content/default/about.md']);
+    });
+
+    it('records calls rejected for their paths with the error code and no paths', async () => {
+        const { ok } = await registry.call('delete_page', { pageName: '../../../outside/secret.md' }, { actor: 'cli' });
+        assert.equal(ok, false);
+
+        const [entry] = await readAuditLog({ tool: 'delete_page' });
+        assert.equal(entry.success, false);
+        assert.equal(entry.error, 'PARENT_SEGMENT');
+        assert.equal(entry.args.pageName, '../../../outside/secret.md');
+        assert.deepEqual(entry.paths, []);
+    });
+
+    it('records every sitemap file xml_sitemap writes or removes', async () => {
+        await fixture.writeFile('dist/sitemap-2.xml', '<sitemapindex/>');
+        const { ok, result } = await registry.call('xml_sitemap', { baseUrl: 'https://example.com' }, { actor: 'cli' });
+        assert.equal(ok, true, result.message);
+
+        const [entry] = await readAuditLog({ tool: 'xml_sitemap' });
+        assert.deepEqual(entry.paths.map(changed => [changed.path, changed.after === null]), [
+            ['dist/sitemap-2.xml', true],
+            ['dist/sitemap.xml', false],
+        ]);
+    });
+
+    it('records the rebuilds of the watcher', async () => {
+        let watcher;
+        const rebuilt = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('No rebuild within 5 seconds')), 5000);
+            watchSite({ onRebuild: result => { clearTimeout(timer); resolve(result); } })
+                .then(started => {
+                    watcher = started;
+                    return fixture.writeFile('src/content/default/index.md', '---\ntitle: Home\n---\n\n# Welcome\n');
+                })
+                .catch(reject);
+        });
+        try {
+            const { report } = await rebuilt;
+            assert.deepEqual(report.pages.map(page => page.pageName), ['index.md']);
+        } finally {
+            await watcher?.close();
+        }
+
+        const [entry] = await readAuditLog({ tool: 'build_site' });
+        assert.equal(entry.actor, 'watch');
+        assert.deepEqual(entry.args.only, ['index.md']);
+        assert.ok(entry.paths.some(changed => changed.path === 'dist/index.html'));
+    });
+
+    it('records the content hash of a file before and after the call', async () => {
+        const before = await fs.readFile(fixture.path('src/content/default/about.md'), 'utf8');
+        const { ok, result } = await registry.call('update_page', { pageName: 'about.md', content: 'Changed' }, { user: 'ada' });
+        assert.equal(ok, true, result.message);
+
+        const [entry] = await readAuditLog({ tool: 'update_page' });
+        assert.equal(entry.actor, 'user:ada');
+        assert.deepEqual(entry.paths, [{
+            path: 'src/content/default/about.md',
+            before: sha256(before),
+            after: sha256(await fs.readFile(fixture.path('src/content/default/about.md'), 'utf8')),
+        }]);
+    });
+});
+
+describe('get_audit_log', () => {
+    async function entries(args) {
+        const { ok, result } = await registry.call('get_audit_log', args);
+        assert.equal(ok, true, result.message);
+        return result.entries.map(entry => `${entry.tool} ${entry.paths.map(changed => changed.path).join(' ')}`.trim());
+    }
+
+    it('filters by page, newest first', async () => {
+        assert.deepEqual(await entries({ pageName: 'about.md' }), [
+            'update_page src/content/default/about.md',
+            'create_page src/content/default/about.md',
+        ]);
+    });
+
+    it('filters by tool and limits the entries', async () => {
+        assert.deepEqual(await entries({ tool: 'delete_page' }), ['delete_page']);
+        assert.equal((await entries({ limit: 2 })).length, 2);
+    });
+
+    it('filters by date range, a bare date including its whole day', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        assert.equal((await entries({ from: today, to: today })).length, (await entries({})).length);
+        assert.deepEqual(await entries({ to: '2000-01-01' }), []);
+        assert.deepEqual(await entries({ from: '2999-01-01' }), []);
+    });
+
+    it('rejects dates it cannot read', async () => {
+        const { ok, result } = await registry.call('get_audit_log', { from: 'yesterday' });
+        assert.equal(ok, false);
+        assert.equal(result.error.code, 'INVALID_ARGUMENTS');
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createFixture } from './helpers.js';
+
+// Users, API tokens and the roles tool calls are filtered by
+
+const fixture = await createFixture();
+const { createServer } = await import('../mcp.js');
+const { createDefaultRegistry } = await import('../lib/registry.js');
+const auth = await import('../lib/auth.js');
+const { readAuditLog } = await import('../lib/audit.js');
+
+const registry = await createDefaultRegistry();
+
+after(() => fixture.remove());
+
+// Whether the role may call tool through the registry, or null without a role
+async function allowed(tool, args, role) {
+    const { result } = await registry.call(tool, args, role === null ? {} : { role });
+    return result.error?.code !== 'FORBIDDEN';
+}
+
+describe('registry roles', () => {
+    const calls = [
+        ['list_pages', {}],
+        ['update_page', { pageName: 'index.md', content: 'Edited' }],
+        ['copy_media', {}],
+    ];
+    const expected = {
+        viewer: [true, false, false],
+        editor: [true, true, false],
+        publisher: [true, true, true],
+    };
+
+    for (const [role, results] of Object.entries(expected)) {
+        it(`lets the ${role} role call ${calls.filter((call, index) => results[index]).map(([tool]) => tool).join(', ')}`, async () => {
+            for (const [index, [tool, args]] of calls.entries()) {
+                assert.equal(await allowed(tool, args, role), results[index], tool);
+            }
+        });
+    }
+
+    it('does not restrict calls without a role', async () => {
+        for (const [tool, args] of calls) {
+            assert.equal(await allowed(tool, args, null), true, tool);
+        }
+    });
+
+    it('refuses unknown roles', async () => {
+        assert.equal(await allowed('list_pages', {}, 'admin'), false);
+    });
+});
+
+describe('MCP CallTool over stdio', () => {
+    async function connect() {
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await createServer(registry, { trustMeta: true }).connect(serverTransport);
+        const client = new Client({ name: 'test', version: '1.0.0' });
+        await client.connect(clientTransport);
+        return client;
+    }
+
+    async function errorCode(client, name, meta) {
+        const result = await client.callTool({ name, arguments: {}, ...(meta ? { _meta: meta } : {}) });
+        return JSON.parse(result.content[0].text).error?.code ?? null;
+    }
+
+    it('filters calls by the role cms.js passes in _meta', async () => {
+        const client = await connect();
+        try {
+            assert.equal(await errorCode(client, 'copy_media', { 'pinkfrog/role': 'viewer', 'pinkfrog/user': 'ada' }), 'FORBIDDEN');
+            assert.equal(await errorCode(client, 'copy_media', { 'pinkfrog/role': 'editor', 'pinkfrog/user': 'ada' }), 'FORBIDDEN');
+            assert.equal(await errorCode(client, 'copy_media', { 'pinkfrog/role': 'publisher', 'pinkfrog/user': 'ada' }), null);
+            assert.equal((await readAuditLog({ tool: 'copy_media' }))[0].actor, 'user:ada');
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('does not restrict calls without _meta', async () => {
+        const client = await connect();
+        try {
+            assert.equal(await errorCode(client, 'copy_media'), null);
+            assert.equal((await readAuditLog({ tool: 'copy_media' }))[0].actor, 'mcp:test');
+        } finally {
+            await client.close();
+        }
+    });
+});
+
+describe('users', () => {
+    it('log in with their password only', async () => {
+        await auth.addUser({ username: 'ada', password: 'a long password', role: 'publisher' });
+        assert.deepEqual(await auth.authenticate('ada', 'a long password'), { username: 'ada', role: 'publisher' });
+        assert.equal(await auth.authenticate('ada', 'wrong password'), null);
+        assert.equal(await auth.authenticate('nobody', 'a long password'), null);
+    });
+
+    it('need a known role, a valid name and a long password', async () => {
+        await assert.rejects(auth.addUser({ username: 'ben', password: 'a long password', role: 'admin' }), { code: 'INVALID_ARGUMENTS' });
+        await assert.rejects(auth.addUser({ username: '../ben', password: 'a long password', role: 'viewer' }), { code: 'INVALID_ARGUMENTS' });
+        await assert.rejects(auth.addUser({ username: 'ben', password: 'short', role: 'viewer' }), { code: 'INVALID_ARGUMENTS' });
+        await assert.rejects(auth.addUser({ username: 'ada', password: 'a long password', role: 'viewer' }), { code: 'USER_EXISTS' });
+    });
+
+    it('act through API tokens until they are revoked', async () => {
+        const { id, token } = await auth.createToken('ada', 'ci');
+        assert.deepEqual(await auth.verifyToken(token), { username: 'ada', role: 'publisher' });
+        const tampered = `${token.slice(0, -1)}${token.endsWith('0') ? '1' : '0'}`;
+        assert.equal(await auth.verifyToken(tampered), null);
+
+        await auth.setRole('ada', 'viewer');
+        assert.deepEqual(await auth.verifyToken(token), { username: 'ada', role: 'viewer' });
+
+        await auth.revokeToken('ada', id);
+        assert.equal(await auth.verifyToken(token), null);
+    });
+
+    it('are logged out when removed', async () => {
+        const session = auth.startLoginSession({ username: 'ada' });
+        assert.deepEqual(await auth.loginSessionUser(session), { username: 'ada', role: 'viewer' });
+        await auth.removeUser('ada');
+        assert.equal(await auth.loginSessionUser(session), null);
+    });
+});
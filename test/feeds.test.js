@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createFixture } from './helpers.js';
+
+// RSS, Atom and JSON feeds of a dataSet or a collection
+
+const fixture = await createFixture();
+const { generateFeeds } = await import('../lib/feeds.js');
+
+after(() => fixture.remove());
+
+before(async () => {
+    await fixture.writeFile('src/settings.yml', [
+        'decoration: light',
+        'baseUrl: https://example.com',
+        'title: Frog News',
+        'author: Ada',
+        'collections:',
+        '  blog:',
+        "    source: 'posts/*.md'",
+        '    title: Blog',
+        '',
+    ].join('\n'));
+    await fixture.writeFile('src/content/default/posts/hello.md', [
+        '---',
+        'title: Hello & welcome',
+        'date: 2024-05-01',
+        'description: The first post',
+        'author: Ben',
+        'tags: [news, frogs]',
+        '---',
+        '',
+        'See ![logo](/media/logo.png) and [the next post](second.html).',
+        '',
+    ].join('\n'));
+    await fixture.writeFile('src/content/default/posts/second.md', '---\ntitle: Second\ndate: 2024-06-01\nupdated: 2024-06-02\n---\n\nMore\n');
+    await fixture.writeFile('src/content/default/posts/draft.md', '---\ntitle: Draft\ndate: 2024-07-01\ndraft: true\n---\n\nNot yet\n');
+    await fixture.writeFile('src/content/default/news.md', '---\ntitle: News\ndate: 2024-04-01\n---\n\nOld news\n');
+});
+
+async function readFeed(outputName) {
+    return fs.readFile(fixture.path(`dist/${outputName}`), 'utf8');
+}
+
+describe('generateFeeds for a collection', () => {
+    let feeds;
+    before(async () => {
+        feeds = await generateFeeds({ collection: 'blog' });
+    });
+
+    it('writes the feeds next to the listing pages', () => {
+        assert.deepEqual(feeds.files.map(file => [file.format, file.outputName, file.url]), [
+            ['rss', 'blog/feed.xml', 'https://example.com/blog/feed.xml'],
+            ['atom', 'blog/atom.xml', 'https://example.com/blog/atom.xml'],
+            ['json', 'blog/feed.json', 'https://example.com/blog/feed.json'],
+        ]);
+    });
+
+    it('lists the published pages of the collection, newest first', () => {
+        assert.deepEqual(feeds.items.map(item => [item.pageName, item.url]), [
+            ['posts/second.md', 'https://example.com/posts/second.html'],
+            ['posts/hello.md', 'https://example.com/posts/hello.html'],
+        ]);
+    });
+
+    it('writes a JSON Feed with the frontmatter and absolute links', async () => {
+        const feed = JSON.parse(await readFeed('blog/feed.json'));
+        assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+        assert.equal(feed.title, 'Frog News: Blog');
+        assert.equal(feed.home_page_url, 'https://example.com/blog/');
+        assert.deepEqual(feed.authors, [{ name: 'Ada' }]);
+
+        const [second, hello] = feed.items;
+        assert.equal(second.date_modified, '2024-06-02T00:00:00.000Z');
+        assert.deepEqual(second.authors, [{ name: 'Ada' }]);
+        assert.equal(hello.title, 'Hello & welcome');
+        assert.equal(hello.summary, 'The first post');
+        assert.equal(hello.date_published, '2024-05-01T00:00:00.000Z');
+        assert.deepEqual(hello.authors, [{ name: 'Ben' }]);
+        assert.deepEqual(hello.tags, ['news', 'frogs']);
+        assert.match(hello.content_html, /src="https:\/\/example\.com\/media\/logo\.png"/);
+        assert.match(hello.content_html, /href="https:\/\/example\.com\/posts\/second\.html"/);
+    });
+
+    it('writes RSS 2.0 and Atom with escaped text', async () => {
+        const rss = await readFeed('blog/feed.xml');
+        assert.equal(rss.match(/<item>/g).length, 2);
+        assert.match(rss, /<title>Hello &amp; welcome<\/title>/);
+        assert.match(rss, /<pubDate>Wed, 01 May 2024 00:00:00 GMT<\/pubDate>/);
+        assert.match(rss, /<content:encoded>&lt;p&gt;See/);
+
+        const atom = await readFeed('blog/atom.xml');
+        assert.equal(atom.match(/<entry>/g).length, 2);
+        assert.match(atom, /<link href="https:\/\/example\.com\/blog\/atom\.xml" rel="self"/);
+        assert.match(atom, /<category term="frogs"\/>/);
+    });
+});
+
+describe('generateFeeds for a dataSet', () => {
+    it('lists every dated page and keeps to the limit', async () => {
+        const feeds = await generateFeeds({ baseUrl: 'https://frogs.example.org/site', limit: 2 });
+        assert.deepEqual(feeds.files.map(file => file.url), [
+            'https://frogs.example.org/site/feed.xml',
+            'https://frogs.example.org/site/atom.xml',
+            'https://frogs.example.org/site/feed.json',
+        ]);
+        assert.deepEqual(feeds.items.map(item => item.pageName), ['posts/second.md', 'posts/hello.md']);
+
+        const all = await generateFeeds({});
+        assert.deepEqual(all.items.map(item => item.pageName), ['posts/second.md', 'posts/hello.md', 'news.md']);
+    });
+
+    it('fails for an unknown collection', async () => {
+        await assert.rejects(generateFeeds({ collection: 'missing' }), { code: 'COLLECTION_NOT_FOUND' });
+    });
+});
@@ -0,0 +1,47 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixture } from './helpers.js';
+
+// Gemini function declarations take a subset of JSON Schema with one type per schema
+
+const fixture = await createFixture();
+const { createDefaultRegistry } = await import('../lib/registry.js');
+const { toFunctionDeclarations } = await import('../lib/llm/gemini.js');
+
+const registry = await createDefaultRegistry();
+
+after(() => fixture.remove());
+
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'items', 'enum', 'format', 'nullable'];
+
+function checkSchema(schema, where) {
+    for (const key of Object.keys(schema)) {
+        assert.ok(GEMINI_SCHEMA_KEYS.includes(key), `${where} has "${key}"`);
+    }
+    assert.equal(typeof schema.type, 'string', `${where} has type ${JSON.stringify(schema.type)}`);
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        checkSchema(property, `${where}.${name}`);
+    }
+    if (schema.items) {
+        checkSchema(schema.items, `${where}[]`);
+    }
+}
+
+describe('toFunctionDeclarations', () => {
+    it('declares every registered tool with one type per schema', () => {
+        const declarations = toFunctionDeclarations(registry.list());
+        assert.equal(declarations.length, registry.list().length);
+        for (const declaration of declarations) {
+            checkSchema(declaration.parameters, declaration.name);
+        }
+    });
+
+    it('turns a type list with null into nullable', () => {
+        const publish = toFunctionDeclarations(registry.list()).find(declaration => declaration.name === 'publish_page');
+        assert.deepEqual(publish.parameters.properties.publishDate, {
+            type: 'string',
+            description: 'When the page goes live, e.g. 2024-05-01T09:00:00Z; null removes it',
+            nullable: true,
+        });
+    });
+});
@@ -0,0 +1,56 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setDebugLogging } from '../lib/log.js';
+
+// Shared fixtures for the tests: a throwaway CMS_DIR per test file
+
+async function writeFile(root, relative, content) {
+    const filePath = path.join(root, relative);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    return filePath;
+}
+
+/**
+ * Create a CMS_DIR with a page, a template, a component and a media file,
+ * next to an outside directory holding secret.md, and point CMS_DIR at it.
+ * lib/config.js reads CMS_DIR once, so import the modules under test
+ * afterwards (with a dynamic import).
+ */
+export async function createFixture() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'pinkfrog-test-'));
+    const cmsDir = path.join(root, 'cms');
+    const outside = path.join(root, 'outside');
+
+    await writeFile(cmsDir, 'src/settings.yml', 'decoration: light\n');
+    await writeFile(cmsDir, 'src/content/default/index.md', '---\ntitle: Home\n---\n\n# Home\n');
+    await writeFile(cmsDir, 'src/decoration/light/templates/index.html', '<html><body>{{ content }}</body></html>\n');
+    await writeFile(cmsDir, 'src/decoration/light/components/hero/template.html', '<section>{{ title }}</section>\n');
+    await writeFile(cmsDir, 'src/media/images/logo.png', 'png');
+    await writeFile(outside, 'secret.md', '---\ntitle: Secret\n---\n\nsecret\n');
+
+    process.env.CMS_DIR = cmsDir;
+    setDebugLogging(false);
+
+    return {
+        root,
+        cmsDir,
+        outside,
+        secret: path.join(outside, 'secret.md'),
+        path: relative => path.join(cmsDir, relative),
+        writeFile: (relative, content) => writeFile(cmsDir, relative, content),
+        // A symlink at relative inside CMS_DIR pointing at target
+        async symlink(target, relative) {
+            const linkPath = path.join(cmsDir, relative);
+            await fs.mkdir(path.dirname(linkPath), { recursive: true });
+            await fs.symlink(target, linkPath);
+            return linkPath;
+        },
+        remove: () => fs.rm(root, { recursive: true, force: true }),
+    };
+}
+
+export async function exists(filePath) {
+    return fs.lstat(filePath).then(() => true, () => false);
+}
@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMarkdownRenderer } from '../lib/markdown.js';
+
+// Rendering through the decoration's markdown/ snippets
+
+describe('createMarkdownRenderer', () => {
+    it('escapes inline code passed to the code snippet', () => {
+        const renderer = createMarkdownRenderer({ 'code.html': '<code class="inline">{{content}}</code>' });
+        assert.equal(
+            renderer.render('Use `<script>a && b</script>` here'),
+            '<p>Use <code class="inline">&lt;script&gt;a &amp;&amp; b&lt;/script&gt;</code> here</p>\n',
+        );
+    });
+
+    it('escapes inline code the same without a snippet', () => {
+        assert.equal(createMarkdownRenderer().render('`<div>` & `a&b`'), '<p><code>&lt;div&gt;</code> &amp; <code>a&amp;b</code></p>\n');
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { createFixture } from './helpers.js';
+
+// MCP over Streamable HTTP and HTTP+SSE; the role of a call comes from its credentials, never from _meta
+
+const fixture = await createFixture();
+const { createServer } = await import('../mcp.js');
+const { startHttpServer } = await import('../lib/mcp-http.js');
+const { createDefaultRegistry } = await import('../lib/registry.js');
+const { addUser, createToken } = await import('../lib/auth.js');
+const { readAuditLog } = await import('../lib/audit.js');
+
+const registry = await createDefaultRegistry();
+const PUBLISHER_META = { 'pinkfrog/role': 'publisher', 'pinkfrog/user': 'ada' };
+
+async function connect(url, token = null) {
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    await client.connect(new StreamableHTTPClientTransport(new URL(url), { requestInit: { headers } }));
+    return client;
+}
+
+async function callTool(client, name, args = {}, meta = undefined) {
+    const result = await client.callTool({ name, arguments: args, ...(meta ? { _meta: meta } : {}) });
+    return JSON.parse(result.content[0].text);
+}
+
+after(() => fixture.remove());
+
+describe('MCP over HTTP', () => {
+    let httpServer;
+    before(async () => {
+        httpServer = await startHttpServer({ createServer: () => createServer(registry), port: 0, corsOrigins: ['https://cms.example.com'] });
+    });
+    after(() => httpServer.close());
+
+    it('gives each client its own session', async () => {
+        const clients = [await connect(httpServer.url), await connect(httpServer.url)];
+        try {
+            assert.equal(httpServer.sessions().streamable.length, 2);
+            const [first, second] = await Promise.all(clients.map(client => client.listTools()));
+            assert.deepEqual(first, second);
+        } finally {
+            await Promise.all(clients.map(client => client.close()));
+        }
+    });
+
+    it('answers 404 for unknown sessions and 400 without one', async () => {
+        const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+        const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+        assert.equal((await fetch(httpServer.url, { method: 'POST', headers: { ...headers, 'Mcp-Session-Id': 'missing' }, body })).status, 404);
+        assert.equal((await fetch(httpServer.url, { method: 'POST', headers, body })).status, 400);
+    });
+
+    it('only lets allowed browser origins call', async () => {
+        const denied = await fetch(httpServer.url, { method: 'OPTIONS', headers: { Origin: 'https://evil.example.com' } });
+        assert.equal(denied.status, 403);
+
+        const allowed = await fetch(httpServer.url, { method: 'OPTIONS', headers: { Origin: 'https://cms.example.com' } });
+        assert.equal(allowed.status, 204);
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://cms.example.com');
+        assert.match(allowed.headers.get('access-control-expose-headers'), /Mcp-Session-Id/);
+    });
+
+    it('falls back to HTTP+SSE', async () => {
+        const client = new Client({ name: 'test', version: '1.0.0' });
+        await client.connect(new SSEClientTransport(new URL('/sse', httpServer.url)));
+        try {
+            assert.equal(httpServer.sessions().sse.length, 1);
+            assert.deepEqual((await callTool(client, 'list_pages')).pages, ['index.md']);
+        } finally {
+            await client.close();
+        }
+    });
+});
+
+describe('MCP over HTTP without a token', () => {
+    let httpServer;
+    before(async () => {
+        httpServer = await startHttpServer({ createServer: () => createServer(registry), port: 0 });
+    });
+    after(() => httpServer.close());
+
+    it('runs calls as viewer, whatever _meta says', async () => {
+        const client = await connect(httpServer.url);
+        try {
+            assert.deepEqual((await callTool(client, 'list_pages')).pages, ['index.md']);
+            for (const meta of [undefined, PUBLISHER_META]) {
+                const result = await callTool(client, 'build_site', {}, meta);
+                assert.equal(result.error.code, 'FORBIDDEN');
+            }
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('runs calls with a user API token as that user', async () => {
+        await addUser({ username: 'ben', password: 'a long password', role: 'editor' });
+        const { token } = await createToken('ben');
+        const client = await connect(httpServer.url, token);
+        try {
+            const created = await callTool(client, 'create_page', { fileName: 'ben.md', copy: 'Hi' }, PUBLISHER_META);
+            assert.equal(created.success, true, created.message);
+            assert.equal((await callTool(client, 'build_site', {}, PUBLISHER_META)).error.code, 'FORBIDDEN');
+        } finally {
+            await client.close();
+        }
+        const [entry] = await readAuditLog({ tool: 'create_page' });
+        assert.equal(entry.actor, 'user:ben');
+    });
+
+    it('refuses unknown tokens', async () => {
+        await assert.rejects(connect(httpServer.url, 'pf_0000000000000000_' + '0'.repeat(64)));
+    });
+});
+
+describe('MCP over HTTP with a token', () => {
+    let httpServer;
+    before(async () => {
+        httpServer = await startHttpServer({ createServer: () => createServer(registry), port: 0, token: 'secret', role: 'editor' });
+    });
+    after(() => httpServer.close());
+
+    it('refuses requests without it', async () => {
+        await assert.rejects(connect(httpServer.url));
+        await assert.rejects(connect(httpServer.url, 'wrong'));
+    });
+
+    it('runs calls with it in the configured role', async () => {
+        const client = await connect(httpServer.url, 'secret');
+        try {
+            const result = await callTool(client, 'update_page', { pageName: 'index.md', content: 'Edited' }, PUBLISHER_META);
+            assert.equal(result.success, true, result.message);
+            assert.equal((await callTool(client, 'empty_dist', {}, PUBLISHER_META)).error.code, 'FORBIDDEN');
+        } finally {
+            await client.close();
+        }
+    });
+});
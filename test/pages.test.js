@@ -0,0 +1,116 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createFixture, exists } from './helpers.js';
+
+// Page operations through their tools
+
+const fixture = await createFixture();
+const { createDefaultRegistry } = await import('../lib/registry.js');
+const { listRevisions } = await import('../lib/history.js');
+
+const registry = await createDefaultRegistry();
+
+after(() => fixture.remove());
+
+describe('create_page', () => {
+    it('rejects names without .md', async () => {
+        const { ok, result } = await registry.call('create_page', { fileName: 'b.txt', copy: 'Hello' });
+        assert.equal(ok, false);
+        assert.equal(result.error.code, 'INVALID_NAME');
+        assert.equal(await exists(fixture.path('src/content/default/b.txt')), false);
+    });
+});
+
+describe('update_page', () => {
+    const source = '---\n# Shown on the home page\ntitle: Old\ndate: 2024-05-01\ntags: a, b\ndraft: yes\n---\n\nBody\n';
+
+    it('rewrites only the attributes it changes', async () => {
+        await fixture.writeFile('src/content/default/news.md', source);
+        const { ok, result } = await registry.call('update_page', {
+            pageName: 'news.md',
+            frontmatter: { title: 'New', summary: 'Short' },
+        });
+        assert.equal(ok, true, result.message);
+        assert.equal(
+            await fs.readFile(fixture.path('src/content/default/news.md'), 'utf8'),
+            '---\n# Shown on the home page\ntitle: New\ndate: 2024-05-01\ntags: a, b\ndraft: yes\nsummary: Short\n---\n\nBody\n',
+        );
+    });
+
+    it('removes attributes set to null and keeps the body when only the frontmatter changes', async () => {
+        await fixture.writeFile('src/content/default/news.md', source);
+        const { ok, result } = await registry.call('update_page', { pageName: 'news.md', frontmatter: { tags: null } });
+        assert.equal(ok, true, result.message);
+        assert.equal(
+            await fs.readFile(fixture.path('src/content/default/news.md'), 'utf8'),
+            '---\n# Shown on the home page\ntitle: Old\ndate: 2024-05-01\ndraft: yes\n---\n\nBody\n',
+        );
+    });
+});
+
+describe('update_page with frontmatter it cannot edit line by line', () => {
+    it('writes the attributes as written plus the changes', async () => {
+        await fixture.writeFile('src/content/default/quoted.md', '---\ntitle: "Two\nlines"\ndate: 2024-05-01\n---\n\nBody\n');
+        const { ok, result } = await registry.call('update_page', { pageName: 'quoted.md', frontmatter: { summary: 'Short' } });
+        assert.equal(ok, true, result.message);
+        const page = await registry.call('get_page', { pageName: 'quoted.md' });
+        assert.equal(page.result.attributes.title, 'Two lines');
+        assert.equal(page.result.attributes.summary, 'Short');
+        assert.deepEqual(page.result.attributes.date, new Date('2024-05-01'));
+    });
+});
+
+describe('publish_page', () => {
+    it('only changes draft and the publication dates', async () => {
+        await fixture.writeFile('src/content/default/draft.md', '---\ntitle: Draft\ndate: 2024-05-01\ndraft: true\n---\n\nBody\n');
+        const { ok, result } = await registry.call('publish_page', { pageName: 'draft.md', publishDate: '2024-06-01T09:00:00Z' });
+        assert.equal(ok, true, result.message);
+        assert.equal(
+            await fs.readFile(fixture.path('src/content/default/draft.md'), 'utf8'),
+            '---\ntitle: Draft\ndate: 2024-05-01\npublishDate: 2024-06-01T09:00:00.000Z\n---\n\nBody\n',
+        );
+    });
+});
+
+describe('delete_page', () => {
+    it('fails with CONTENT_NOT_FOUND for a missing page and records no revision', async () => {
+        const { ok, result } = await registry.call('delete_page', { pageName: 'missing.md' });
+        assert.equal(ok, false);
+        assert.equal(result.error.code, 'CONTENT_NOT_FOUND');
+        assert.deepEqual(await listRevisions('default', 'missing.md'), []);
+    });
+});
+
+describe('rename_page', () => {
+    it('changes nothing when another page cannot be parsed', async () => {
+        await fixture.writeFile('src/content/default/about.md', '---\ntitle: About\n---\n\nSee [home](index.html).\n');
+        await fixture.writeFile('src/content/default/broken.md', '---\ntitle: [unclosed\n---\n\n[home](index.html)\n');
+        const about = await fs.readFile(fixture.path('src/content/default/about.md'), 'utf8');
+
+        const { ok, result } = await registry.call('rename_page', { pageName: 'index.md', newPageName: 'home.md' });
+        assert.equal(ok, false);
+        assert.equal(result.error.code, 'INVALID_FRONTMATTER');
+        assert.equal(await exists(fixture.path('src/content/default/index.md')), true);
+        assert.equal(await exists(fixture.path('src/content/default/home.md')), false);
+        assert.equal(await fs.readFile(fixture.path('src/content/default/about.md'), 'utf8'), about);
+        assert.deepEqual(await listRevisions('default', 'home.md'), []);
+
+        await fs.rm(fixture.path('src/content/default/broken.md'));
+    });
+
+    it('rejects new names without .md', async () => {
+        const { ok, result } = await registry.call('rename_page', { pageName: 'index.md', newPageName: 'index.txt' });
+        assert.equal(ok, false);
+        assert.equal(result.error.code, 'INVALID_NAME');
+        assert.equal(await exists(fixture.path('src/content/default/index.md')), true);
+    });
+
+    it('moves the page and updates links to it', async () => {
+        const { ok, result } = await registry.call('rename_page', { pageName: 'index.md', newPageName: 'home.md' });
+        assert.equal(ok, true, result.message);
+        assert.deepEqual(result.updatedPages, ['about.md']);
+        assert.equal(await exists(fixture.path('src/content/default/index.md')), false);
+        assert.match(await fs.readFile(fixture.path('src/content/default/about.md'), 'utf8'), /\[home\]\(home\.html\)/);
+    });
+});
@@ -0,0 +1,187 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture, exists } from './helpers.js';
+
+// Every tool taking a name must stay inside its root: src/content/<dataSet>, dist or the decoration
+
+const fixture = await createFixture();
+const { createDefaultRegistry } = await import('../lib/registry.js');
+const { readResource } = await import('../lib/resources.js');
+const { MANIFEST_PATH } = await import('../lib/manifest.js');
+
+const registry = await createDefaultRegistry();
+
+async function expectCode(tool, args, code) {
+    const { ok, result } = await registry.call(tool, args);
+    assert.equal(ok, false, `${tool} should fail with ${code}`);
+    assert.equal(result.error.code, code, result.message);
+    return result;
+}
+
+before(async () => {
+    // A page, a dataSet and a folder of pages that are symlinks to the outside
+    await fixture.symlink(fixture.secret, 'src/content/default/leak.md');
+    await fixture.symlink(fixture.outside, 'src/content/default/linked');
+    await fixture.symlink(fixture.outside, 'src/content/linked');
+    await fixture.symlink(fixture.outside, 'src/decoration/light/components/linked');
+    await fixture.symlink(fixture.secret, 'src/decoration/light/templates/leak.html');
+});
+
+after(() => fixture.remove());
+
+describe('get_page', () => {
+    it('rejects .. segments', async () => {
+        await expectCode('get_page', { pageName: '../../../outside/secret.md' }, 'PARENT_SEGMENT');
+        await expectCode('get_page', { pageName: 'secret.md', dataSet: '..' }, 'PARENT_SEGMENT');
+    });
+
+    it('rejects absolute paths', async () => {
+        await expectCode('get_page', { pageName: fixture.secret }, 'ABSOLUTE_PATH');
+    });
+
+    it('rejects symlinks leading outside', async () => {
+        await expectCode('get_page', { pageName: 'leak.md' }, 'SYMLINK_ESCAPE');
+        await expectCode('get_page', { pageName: 'linked/secret.md' }, 'SYMLINK_ESCAPE');
+        await expectCode('get_page', { pageName: 'secret.md', dataSet: 'linked' }, 'SYMLINK_ESCAPE');
+    });
+
+    it('still reads pages inside the dataSet', async () => {
+        const { ok, result } = await registry.call('get_page', { pageName: 'index.md' });
+        assert.equal(ok, true, result.message);
+        assert.equal(result.attributes.title, 'Home');
+    });
+});
+
+describe('create_page', () => {
+    it('rejects .. segments', async () => {
+        await expectCode('create_page', { fileName: '../../../outside/new.md', copy: 'x' }, 'PARENT_SEGMENT');
+        assert.equal(await exists(path.join(fixture.outside, 'new.md')), false);
+    });
+
+    it('rejects absolute paths', async () => {
+        await expectCode('create_page', { fileName: path.join(fixture.outside, 'new.md'), copy: 'x' }, 'ABSOLUTE_PATH');
+        assert.equal(await exists(path.join(fixture.outside, 'new.md')), false);
+    });
+
+    it('rejects symlinks leading outside', async () => {
+        await expectCode('create_page', { fileName: 'linked/new.md', copy: 'x' }, 'SYMLINK_ESCAPE');
+        await expectCode('create_page', { fileName: 'leak.md', copy: 'x', overwrite: true }, 'SYMLINK_ESCAPE');
+        assert.equal(await exists(path.join(fixture.outside, 'new.md')), false);
+        assert.match(await fs.readFile(fixture.secret, 'utf8'), /secret/);
+    });
+});
+
+describe('rename_page', () => {
+    it('rejects .. segments', async () => {
+        await expectCode('rename_page', { pageName: 'index.md', newPageName: '../../../outside/moved.md' }, 'PARENT_SEGMENT');
+        await expectCode('rename_page', { pageName: '../../../outside/secret.md', newPageName: 'stolen.md' }, 'PARENT_SEGMENT');
+        assert.equal(await exists(fixture.path('src/content/default/index.md')), true);
+    });
+
+    it('rejects absolute paths', async () => {
+        await expectCode('rename_page', { pageName: 'index.md', newPageName: path.join(fixture.outside, 'moved.md') }, 'ABSOLUTE_PATH');
+        await expectCode('rename_page', { pageName: fixture.secret, newPageName: 'stolen.md' }, 'ABSOLUTE_PATH');
+        assert.equal(await exists(fixture.path('src/content/default/index.md')), true);
+    });
+
+    it('rejects symlinks leading outside', async () => {
+        await expectCode('rename_page', { pageName: 'index.md', newPageName: 'linked/moved.md' }, 'SYMLINK_ESCAPE');
+        await expectCode('rename_page', { pageName: 'leak.md', newPageName: 'stolen.md' }, 'SYMLINK_ESCAPE');
+        assert.equal(await exists(path.join(fixture.outside, 'moved.md')), false);
+        assert.equal(await exists(fixture.secret), true);
+        assert.equal(await exists(fixture.path('src/content/default/stolen.md')), false);
+    });
+});
+
+describe('save_html', () => {
+    before(() => fixture.symlink(fixture.outside, 'dist/linked'));
+
+    it('rejects .. segments', async () => {
+        await expectCode('save_html', { fileName: '../../outside/page.html', content: 'x' }, 'PARENT_SEGMENT');
+        assert.equal(await exists(path.join(fixture.outside, 'page.html')), false);
+    });
+
+    it('rejects absolute paths', async () => {
+        await expectCode('save_html', { fileName: path.join(fixture.outside, 'page.html'), content: 'x' }, 'ABSOLUTE_PATH');
+        assert.equal(await exists(path.join(fixture.outside, 'page.html')), false);
+    });
+
+    it('rejects symlinks leading outside', async () => {
+        await expectCode('save_html', { fileName: 'linked/page.html', content: 'x' }, 'SYMLINK_ESCAPE');
+        assert.equal(await exists(path.join(fixture.outside, 'page.html')), false);
+    });
+});
+
+describe('copy_media', () => {
+    beforeEach(() => fs.rm(fixture.path('dist'), { recursive: true, force: true }));
+
+    // Media files copied earlier are removed by the names in the build manifest
+    async function writeManifest(media) {
+        await fs.mkdir(path.dirname(MANIFEST_PATH), { recursive: true });
+        await fs.writeFile(MANIFEST_PATH, JSON.stringify({ version: 1, pages: {}, listings: {}, media }));
+    }
+
+    it('rejects .. segments in copied file names', async () => {
+        await writeManifest({ '../../outside/secret.md': { size: 1, mtimeMs: 1 } });
+        await expectCode('copy_media', {}, 'PARENT_SEGMENT');
+        assert.equal(await exists(fixture.secret), true);
+    });
+
+    it('rejects absolute copied file names', async () => {
+        await writeManifest({ [fixture.secret]: { size: 1, mtimeMs: 1 } });
+        await expectCode('copy_media', {}, 'ABSOLUTE_PATH');
+        assert.equal(await exists(fixture.secret), true);
+    });
+
+    it('rejects a dist/media symlink leading outside', async () => {
+        await fixture.symlink(fixture.outside, 'dist/media');
+        await expectCode('copy_media', {}, 'SYMLINK_ESCAPE');
+        assert.equal(await exists(path.join(fixture.outside, 'images')), false);
+    });
+
+    it('rejects a symlinked folder in dist/media leading outside', async () => {
+        await fixture.symlink(fixture.outside, 'dist/media/images');
+        await expectCode('copy_media', {}, 'SYMLINK_ESCAPE');
+        assert.equal(await exists(path.join(fixture.outside, 'logo.png')), false);
+    });
+
+    it('skips media symlinks leading outside', async () => {
+        const link = await fixture.symlink(fixture.secret, 'src/media/secret.md');
+        try {
+            const { ok, result } = await registry.call('copy_media', {});
+            assert.equal(ok, true, result.message);
+            assert.equal(await exists(fixture.path('dist/media/images/logo.png')), true);
+            assert.equal(await exists(fixture.path('dist/media/secret.md')), false);
+        } finally {
+            await fs.rm(link);
+        }
+    });
+});
+
+describe('resources', () => {
+    it('reject .. segments', async () => {
+        await assert.rejects(readResource('pinkfrog://content/default/..%2F..%2F..%2Foutside%2Fsecret.md'), { code: 'PARENT_SEGMENT' });
+        await assert.rejects(readResource('pinkfrog://content/../secret.md'), { code: 'PARENT_SEGMENT' });
+        await assert.rejects(readResource('pinkfrog://decoration/light/templates/..%2F..%2F..%2Fsettings.yml'), { code: 'PARENT_SEGMENT' });
+        await assert.rejects(readResource('pinkfrog://decoration/light/components/..'), { code: 'PARENT_SEGMENT' });
+    });
+
+    it('reject absolute paths', async () => {
+        await assert.rejects(readResource(`pinkfrog://content/default/${encodeURIComponent(fixture.secret)}`), { code: 'ABSOLUTE_PATH' });
+        await assert.rejects(readResource(`pinkfrog://decoration/light/templates/${encodeURIComponent(fixture.secret)}`), { code: 'ABSOLUTE_PATH' });
+    });
+
+    it('reject symlinks leading outside', async () => {
+        await assert.rejects(readResource('pinkfrog://content/default/leak.md'), { code: 'SYMLINK_ESCAPE' });
+        await assert.rejects(readResource('pinkfrog://content/linked/secret.md'), { code: 'SYMLINK_ESCAPE' });
+        await assert.rejects(readResource('pinkfrog://decoration/light/templates/leak.html'), { code: 'SYMLINK_ESCAPE' });
+        await assert.rejects(readResource('pinkfrog://decoration/light/components/linked'), { code: 'SYMLINK_ESCAPE' });
+    });
+
+    it('still read pages inside the dataSet', async () => {
+        const [contents] = await readResource('pinkfrog://content/default/index.md');
+        assert.match(contents.text, /title: Home/);
+    });
+});
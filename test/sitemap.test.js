@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createFixture, exists } from './helpers.js';
+
+// sitemap.xml, sitemap indexes and robots.txt
+
+const fixture = await createFixture();
+const { generateSitemap, generateRobots } = await import('../lib/sitemap.js');
+
+after(() => fixture.remove());
+
+const SETTINGS = [
+    'decoration: light',
+    'baseUrl: https://example.com',
+    'dataSets:',
+    '  default: { lang: en }',
+    '  de: { lang: de }',
+    '',
+].join('\n');
+
+before(async () => {
+    await fixture.writeFile('src/settings.yml', SETTINGS);
+    await fixture.writeFile('src/content/default/about.md', '---\ntitle: About\nupdated: 2024-05-01\nsitemap:\n  priority: 0.55\n  changefreq: monthly\n---\n\nAbout\n');
+    await fixture.writeFile('src/content/default/hidden.md', '---\ntitle: Hidden\nsitemap: false\n---\n\nHidden\n');
+    await fixture.writeFile('src/content/default/broken.md', '---\ntitle: Broken\nsitemap:\n  priority: 2\n---\n\nBroken\n');
+    await fixture.writeFile('src/content/default/draft.md', '---\ntitle: Draft\ndraft: true\n---\n\nDraft\n');
+    await fixture.writeFile('src/content/de/index.md', '---\ntitle: Start\n---\n\nStart\n');
+});
+
+function sitemapFile(fileName = 'sitemap.xml') {
+    return fs.readFile(fixture.path(`dist/${fileName}`), 'utf8');
+}
+
+describe('generateSitemap', () => {
+    it('lists published pages with their sitemap settings', async () => {
+        const { urls, skipped } = await generateSitemap({});
+        assert.deepEqual(urls.map(({ loc, priority, changefreq }) => [loc, priority, changefreq]), [
+            ['https://example.com/about.html', 0.55, 'monthly'],
+            ['https://example.com/index.html', 1, 'weekly'],
+        ]);
+        assert.deepEqual(urls[0].lastmod, new Date('2024-05-01'));
+        assert.deepEqual(skipped.map(page => page.pageName), ['broken.md']);
+        assert.match(skipped[0].message, /sitemap\.priority/);
+
+        const xml = await sitemapFile();
+        assert.match(xml, /<loc>https:\/\/example\.com\/about\.html<\/loc>\n {4}<lastmod>2024-05-01T00:00:00\.000Z<\/lastmod>\n {4}<changefreq>monthly<\/changefreq>\n {4}<priority>0\.55<\/priority>/);
+        assert.match(xml, /<priority>1\.0<\/priority>/);
+        assert.doesNotMatch(xml, /hidden|draft|broken/);
+    });
+
+    it('links the pages of several dataSets as hreflang alternates', async () => {
+        const { sites, urls } = await generateSitemap({ dataSets: ['default', 'de'] });
+        assert.deepEqual(sites, [
+            { dataSet: 'default', baseUrl: 'https://example.com/', lang: 'en' },
+            { dataSet: 'de', baseUrl: 'https://example.com/de/', lang: 'de' },
+        ]);
+
+        const home = urls.find(url => url.loc === 'https://example.com/index.html');
+        assert.deepEqual(home.alternates, [
+            { hreflang: 'en', href: 'https://example.com/index.html' },
+            { hreflang: 'de', href: 'https://example.com/de/index.html' },
+            { hreflang: 'x-default', href: 'https://example.com/index.html' },
+        ]);
+        assert.equal(urls.find(url => url.loc === 'https://example.com/about.html').alternates, undefined);
+
+        const xml = await sitemapFile();
+        assert.match(xml, /xmlns:xhtml="http:\/\/www\.w3\.org\/1999\/xhtml"/);
+        assert.match(xml, /<xhtml:link rel="alternate" hreflang="de" href="https:\/\/example\.com\/de\/index\.html"\/>/);
+    });
+
+    it('splits into a sitemap index past maxUrls and removes stale parts', async () => {
+        await fixture.writeFile('dist/sitemap-3.xml', '<urlset/>');
+        const { files } = await generateSitemap({ dataSets: ['default', 'de'], maxUrls: 2 });
+        assert.deepEqual(files, ['sitemap.xml', 'sitemap-1.xml', 'sitemap-2.xml']);
+
+        const index = await sitemapFile();
+        assert.match(index, /<sitemapindex /);
+        assert.deepEqual([...index.matchAll(/<loc>(.*?)<\/loc>/g)].map(match => match[1]), [
+            'https://example.com/sitemap-1.xml',
+            'https://example.com/sitemap-2.xml',
+        ]);
+        assert.equal((await sitemapFile('sitemap-1.xml')).match(/<url>/g).length, 2);
+        assert.equal((await sitemapFile('sitemap-2.xml')).match(/<url>/g).length, 1);
+        assert.equal(await exists(fixture.path('dist/sitemap-3.xml')), false);
+
+        await generateSitemap({});
+        assert.equal(await exists(fixture.path('dist/sitemap-1.xml')), false);
+        assert.match(await sitemapFile(), /<urlset /);
+    });
+});
+
+describe('generateRobots', () => {
+    after(() => fixture.writeFile('src/settings.yml', SETTINGS));
+
+    it('lets every crawler fetch everything without robots settings', async () => {
+        const { content } = await generateRobots({});
+        assert.equal(content, 'User-agent: *\nDisallow:\n\nSitemap: https://example.com/sitemap.xml\n');
+        assert.equal(await fs.readFile(fixture.path('dist/robots.txt'), 'utf8'), content);
+    });
+
+    it('writes the robots groups of settings.yml', async () => {
+        await fixture.writeFile('src/settings.yml', `${SETTINGS}robots:\n  - userAgent: [GPTBot, CCBot]\n    disallow: /\n  - allow: /admin/public/\n    disallow: [/admin/]\n    crawlDelay: 10\n`);
+        const { content } = await generateRobots({ sitemap: false });
+        assert.equal(content, [
+            'User-agent: GPTBot',
+            'User-agent: CCBot',
+            'Disallow: /',
+            '',
+            'User-agent: *',
+            'Allow: /admin/public/',
+            'Disallow: /admin/',
+            'Crawl-delay: 10',
+            '',
+        ].join('\n'));
+    });
+
+    it('rejects line breaks in rules', async () => {
+        await fixture.writeFile('src/settings.yml', `${SETTINGS}robots:\n  - disallow: "/private\\nUser-agent: evil"\n`);
+        await assert.rejects(generateRobots({}), /disallow must not contain line breaks/);
+    });
+});
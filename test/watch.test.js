@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixture } from './helpers.js';
+
+// What the watcher of the preview server rebuilds for a change
+
+const fixture = await createFixture();
+const { watchSite } = await import('../lib/watch.js');
+
+after(() => fixture.remove());
+
+let watcher;
+let rebuilt = null;
+
+// The next rebuild after change() ran
+function rebuildAfter(change) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('No rebuild within 5 seconds')), 5000);
+        rebuilt = result => {
+            clearTimeout(timer);
+            resolve(result);
+        };
+        change().catch(reject);
+    });
+}
+
+function builtPages(result) {
+    return result.report.pages.map(page => page.pageName).sort();
+}
+
+before(async () => {
+    await fixture.writeFile('src/settings.yml', "decoration: light\ncollections:\n  notes:\n    source: 'note-*.md'\n");
+    await fixture.writeFile('src/content/default/note-a.md', '---\ntitle: A\ndate: 2024-05-01\n---\n\nA\n');
+    await fixture.writeFile('src/content/default/note-b.md', '---\ntitle: B\ndate: 2024-05-02\n---\n\nB\n');
+    await fixture.writeFile('src/decoration/light/templates/list.html', '<ul>{{ items }}</ul>\n');
+    await fixture.writeFile('src/decoration/light/templates/list-item.html', '<li>{{ title }}</li>\n');
+    watcher = await watchSite({ onRebuild: result => rebuilt?.(result) });
+});
+
+after(() => watcher.close());
+
+describe('watchSite', () => {
+    it('watches settings.yml', () => {
+        assert.ok(watcher.directories.includes(fixture.path('src/settings.yml')));
+    });
+
+    it('rebuilds a page outside collections on its own', async () => {
+        const result = await rebuildAfter(() => fixture.writeFile('src/content/default/index.md', '---\ntitle: Home\n---\n\nNew\n'));
+        assert.deepEqual(builtPages(result), ['index.md']);
+    });
+
+    it('rebuilds the pages and listings of a collection in the content root', async () => {
+        const result = await rebuildAfter(() => fixture.writeFile('src/content/default/note-a.md', '---\ntitle: A2\ndate: 2024-05-01\n---\n\nA\n'));
+        assert.deepEqual(builtPages(result), ['note-a.md', 'note-b.md']);
+        assert.ok(result.report.listings.some(listing => listing.outputName === 'notes/index.html' && listing.status === 'built'));
+    });
+
+    it('rebuilds every page when settings.yml changes', async () => {
+        const result = await rebuildAfter(() => fixture.writeFile('src/settings.yml', "decoration: light\ncollections:\n  notes:\n    source: 'note-*.md'\n    title: Notes\n"));
+        assert.deepEqual(builtPages(result), ['index.md', 'note-a.md', 'note-b.md']);
+    });
+});